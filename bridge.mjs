@@ -0,0 +1,367 @@
+import net from 'net'
+import { WebSocket, WebSocketServer } from 'ws'
+import { AckTimeoutError, DisplayMessage, Message, Page, PageAnimate, PIDValidationError, inspect } from './index.mjs'
+import EventEmitter from 'events'
+
+/**
+  A `PIDServer` object makes a `PID` available over the network,
+  so that a display cabled to one computer can be controlled from another.
+
+  Clients connect using a line-based protocol over TCP, or over a WebSocket,
+  where each line of text (or each WebSocket message) is one command:
+
+  -   ``SEND <string>`` sends a string representation of a `DisplayMessage`, as accepted by `DisplayMessage.fromStr`.
+  -   ``HEX <hex>`` sends raw bytes, treated as by `PID.send`: a payload is framed with a CRC checksum, a packet is sent as is.
+  -   ``JSON <json>`` sends the JSON representation of a `DisplayMessage`, as accepted by `DisplayMessage.fromJSON`,
+      or an array of page objects, each with a ``text`` and optionally an ``animate`` (``"N"``, ``"V"`` or ``"H"``) and ``delay``.
+  -   ``PING`` pings the display.
+
+  Each command is answered by one line, in the order the commands were received:
+
+  -   ``OK <hex>`` with the bytes of the `ResponseMessage` once the display acknowledges,
+      or just ``OK`` if the `PID` ignores responses.
+  -   ``ERR <json>`` with the ``name`` and ``message`` of the error, and any details it carries.
+
+  The protocol has no authentication, so the server only listens on the loopback interface unless told otherwise.
+  A client sending a line longer than `PIDServer.MAX_LINE_LENGTH` is disconnected.
+
+  `RemotePID` is a client for this protocol.
+ */
+export class PIDServer extends EventEmitter {
+
+  /** The longest line, or WebSocket message, accepted from a client, in characters. */
+  static MAX_LINE_LENGTH = 64 * 1024
+
+  #pid
+  #tcp = null
+  #webSocket = null
+  #sockets = new Set()
+
+  /**
+   * Constructs a new PIDServer.
+   *
+   * @param {PID} pid the display to control. It is not closed when the server is.
+   */
+  constructor(pid) {
+    super()
+    this.#pid = pid
+  }
+
+  /**
+   * Start accepting TCP connections.
+   *
+   * @param {Object} [options]
+   * @param {int} [options.port=0] the port to listen on, or ``0`` for any free port.
+   * @param {string} [options.host='127.0.0.1'] the address to listen on. Give ``'::'`` to accept connections from other computers too.
+   * @returns {Promise<int>} the port being listened on
+   */
+  async listen({ port = 0, host = '127.0.0.1' } = {}) {
+    this.#tcp = net.createServer(socket => this.#acceptTCP(socket))
+    await new Promise((resolve, reject) => {
+      this.#tcp.once('error', reject)
+      this.#tcp.listen(port, host, resolve)
+    })
+
+    return this.#tcp.address().port
+  }
+
+  /**
+   * Start accepting WebSocket connections.
+   *
+   * @param {Object} [options] options for the `ws` ``WebSocketServer``, such as ``port``, or ``server`` and ``path`` to share an existing HTTP server.
+   *        Unless a ``host`` is given, only the loopback interface is listened on.
+   * @returns {Promise<int>} the port being listened on
+   */
+  async listenWebSocket(options = { port: 0 }) {
+    this.#webSocket = new WebSocketServer({ host: '127.0.0.1', maxPayload: PIDServer.MAX_LINE_LENGTH, ...options })
+    this.#webSocket.on('connection', socket => this.#acceptWebSocket(socket))
+
+    if (!options.server && !options.noServer) {
+      await new Promise((resolve, reject) => {
+        this.#webSocket.once('error', reject)
+        this.#webSocket.once('listening', resolve)
+      })
+    }
+
+    return this.#webSocket.address()?.port
+  }
+
+  /**
+   * Carry out a single command of the protocol.
+   *
+   * @param {string} command a line of the protocol, without its line ending
+   * @returns {Promise<string>} the reply, without its line ending
+   */
+  async handle(command) {
+    let [ , verb, argument = '' ] = command.match(/^\s*(\S*)\s?(.*)$/s)
+
+    try {
+      let response
+      switch (verb.toUpperCase()) {
+        case 'SEND':
+          response = await this.#pid.send(argument)
+          break
+        case 'HEX': {
+          let hex = argument.replace(/\s/g, '')
+          if (!/^([0-9a-f]{2})+$/i.test(hex)) throw new RangeError(`Invalid hex ${argument}`)
+          response = await this.#pid.send(Buffer.from(hex, 'hex'))
+          break
+        }
+        case 'JSON':
+          response = await this.#pid.send(PIDServer._fromJSON(JSON.parse(argument), this.#pid.getAddress(), this.#pid.getCharacterSet()))
+          break
+        case 'PING':
+          response = await this.#pid.ping()
+          break
+        default:
+          throw new RangeError(`Unknown command ${verb}`)
+      }
+
+      return response ? `OK ${Buffer.from(response.toBytes()).toString('hex')}` : 'OK'
+    } catch (e) {
+      let { name, message, ...details } = e
+      return `ERR ${JSON.stringify({ ...details, name, message })}`
+    }
+  }
+
+  /**
+   * Converts the argument of a ``JSON`` command to a `DisplayMessage`.
+   *
+   * Besides the JSON representation accepted by `DisplayMessage.fromJSON`,
+   * the page objects accepted before it existed are still understood:
+   * an array of them, or an object with a ``pages`` array of them.
+   *
+   * @param {*} json the parsed argument
+   * @param {int} [address] the device address
+   * @param {CharacterSet} [characterSet] the characters the pages can show. Defaults to `Page.characterSet`.
+   * @returns {DisplayMessage}
+   * @throws {PIDValidationError} if any page is invalid
+   */
+  static _fromJSON(json, address, characterSet = Page.characterSet) {
+    let pages = Array.isArray(json) ? json : json?.pages
+    let legacy = Array.isArray(json) || (Array.isArray(pages) && pages.some(page => typeof page?.text !== 'undefined'))
+    if (!legacy) return DisplayMessage.fromJSON(json, address, characterSet)
+
+    if (!pages.length) throw new PIDValidationError('Pages must be a non-empty array', { field: 'pages', value: pages })
+
+    return new DisplayMessage(pages.map(({ animate, delay, text } = {}, i) => {
+      try {
+        return new Page(
+          new PageAnimate(String(animate ?? (i === 0 ? PageAnimate.VSCROLL : PageAnimate.HSCROLL))),
+          delay ?? (i === 0 ? 10 : 0),
+          text,
+          characterSet
+        )
+      } catch (e) {
+        throw e instanceof PIDValidationError ? e.withPage(i) : e
+      }
+    }), address)
+  }
+
+  #acceptTCP(socket) {
+    let replies = Promise.resolve()
+    let buffered = ''
+
+    socket.setEncoding('utf8')
+    socket.on('data', data => {
+      let lines = (buffered + data).split('\n')
+      buffered = lines.pop()
+
+      if ([ buffered, ...lines ].some(line => line.length > PIDServer.MAX_LINE_LENGTH)) {
+        this.emit('connection-error', new RangeError(`Line longer than ${PIDServer.MAX_LINE_LENGTH} characters`))
+        return socket.destroy()
+      }
+
+      for (let line of lines) {
+        line = line.replace(/\r$/, '')
+        if (!line.trim()) continue
+
+        let reply = this.handle(line)
+        replies = replies.then(() => reply).then(reply => {
+          if (!socket.destroyed) socket.write(reply + '\n')
+        })
+      }
+    })
+
+    this.#sockets.add(socket)
+    socket.on('close', () => this.#sockets.delete(socket))
+    socket.on('error', err => this.emit('connection-error', err))
+    this.emit('connection', socket)
+  }
+
+  #acceptWebSocket(socket) {
+    let replies = Promise.resolve()
+
+    socket.on('message', data => {
+      let reply = this.handle(data.toString())
+      replies = replies.then(() => reply).then(reply => {
+        if (socket.readyState === WebSocket.OPEN) socket.send(reply)
+      })
+    })
+
+    socket.on('error', err => this.emit('connection-error', err))
+    this.emit('connection', socket)
+  }
+
+  /**
+   * Stop accepting connections and disconnect every client.
+   */
+  async close() {
+    if (this.#webSocket) {
+      for (let client of this.#webSocket.clients) client.terminate()
+      await new Promise(r => this.#webSocket.close(r))
+      this.#webSocket = null
+    }
+
+    if (this.#tcp) {
+      for (let socket of this.#sockets) socket.destroy()
+      await new Promise(r => this.#tcp.close(r))
+      this.#tcp = null
+    }
+  }
+
+}
+
+/**
+  A `RemotePID` object controls a display made available by a `PIDServer`,
+  with the same `send`, `ping` and `close` methods as a `PID`.
+
+  `RemotePID` objects are typically constructed using `RemotePID.connect`.
+  Errors raised by the `PID` on the server are raised again by the client,
+  as an `AckTimeoutError` or `PIDValidationError` where applicable,
+  or otherwise as an ``Error`` with the same ``name`` and ``message``.
+ */
+export class RemotePID extends EventEmitter {
+
+  #socket
+  #waiting = []
+
+  /**
+   * Constructs a new RemotePID instance.
+   *
+   * @param {net.Socket|WebSocket} socket a connected TCP socket or WebSocket. In normal use one is set by `RemotePID.connect`.
+   */
+  constructor(socket) {
+    super()
+    this.#socket = socket
+
+    if (socket instanceof WebSocket) {
+      socket.on('message', data => this.#reply(data.toString()))
+    } else {
+      let buffered = ''
+      socket.setEncoding('utf8')
+      socket.on('data', data => {
+        let lines = (buffered + data).split('\n')
+        buffered = lines.pop()
+        for (let line of lines) this.#reply(line.replace(/\r$/, ''))
+      })
+    }
+
+    socket.on('close', () => {
+      for (let { reject } of this.#waiting.splice(0)) reject(new Error('Connection to PIDServer closed'))
+      this.emit('close')
+    })
+
+    socket.on('error', err => this.emit('error', err))
+  }
+
+  /**
+   * Connect to a `PIDServer`.
+   *
+   * @param {string} url ``tcp://host:port`` for the line-based protocol, or a ``ws://`` URL for a WebSocket.
+   * @returns {Promise<RemotePID>}
+   */
+  static async connect(url) {
+    let { protocol, hostname, port } = new URL(url)
+
+    let socket
+    if (protocol === 'ws:' || protocol === 'wss:') {
+      socket = new WebSocket(url)
+      await new Promise((resolve, reject) => {
+        socket.once('open', resolve)
+        socket.once('error', reject)
+      })
+    } else if (protocol === 'tcp:') {
+      socket = net.connect(Number(port), hostname)
+      await new Promise((resolve, reject) => {
+        socket.once('connect', resolve)
+        socket.once('error', reject)
+      })
+    } else throw new RangeError(`Unsupported protocol ${protocol}`)
+
+    return new RemotePID(socket)
+  }
+
+  /**
+  Send data to the display, as with `PID.send`.
+
+  Strings are sent as a ``SEND`` command, `Message` objects and ``Buffer`` objects as a ``HEX`` command,
+  and other objects as a ``JSON`` command.
+
+   * @param {*} data a string, `Message` object, ``Buffer`` object, the JSON representation of a `DisplayMessage` or an array of page objects.
+   * @returns {Promise<ResponseMessage>} the acknowledgement, or ``undefined`` if responses are ignored by the server.
+   */
+  async send(data) {
+    if (typeof data === 'string') return this.#command(`SEND ${data}`)
+    if (data instanceof Message) data = Buffer.from(data.toBytes())
+    if (Buffer.isBuffer(data) || data instanceof Uint8Array) return this.#command(`HEX ${Buffer.from(data).toString('hex')}`)
+
+    return this.#command(`JSON ${JSON.stringify(data)}`)
+  }
+
+  async ping() {
+    return await this.#command('PING')
+  }
+
+  async close() {
+    if (this.#socket instanceof WebSocket) {
+      if (this.#socket.readyState === WebSocket.CLOSED) return
+      await new Promise(r => {
+        this.#socket.once('close', r)
+        this.#socket.close()
+      })
+    } else {
+      if (this.#socket.destroyed) return
+      await new Promise(r => this.#socket.end(r))
+    }
+  }
+
+  #command(line) {
+    if (line.includes('\n')) return Promise.reject(new RangeError('Commands cannot contain line breaks'))
+
+    return new Promise((resolve, reject) => {
+      this.#waiting.push({ resolve, reject })
+      if (this.#socket instanceof WebSocket) this.#socket.send(line)
+      else this.#socket.write(line + '\n')
+    })
+  }
+
+  #reply(line) {
+    let caller = this.#waiting.shift()
+    if (!caller) return
+
+    // A reply that can't be understood only fails the command it answers
+    try {
+      let [ , status, argument = '' ] = line.match(/^(\S*)\s?(.*)$/s)
+      if (status === 'OK') return caller.resolve(argument ? inspect(Buffer.from(argument, 'hex')) : undefined)
+      if (status === 'ERR') return caller.reject(RemotePID._error(JSON.parse(argument)))
+
+      throw new RangeError(`Unexpected reply ${line}`)
+    } catch (e) {
+      caller.reject(e)
+    }
+  }
+
+  /**
+   * Recreates an error described by an ``ERR`` reply.
+   */
+  static _error({ name, message, ...details }) {
+    if (name === 'AckTimeoutError') return new AckTimeoutError(details.address, details.timeout)
+    if (name === 'PIDValidationError') return new PIDValidationError(details.reason, details)
+
+    let error = new Error(message)
+    error.name = name
+    return error
+  }
+
+}
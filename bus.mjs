@@ -0,0 +1,192 @@
+import { SerialPort } from 'serialport'
+import { PacketParser } from './dlestxetx.mjs'
+import { CRCError } from './crc.mjs'
+import { PID, ResponseMessage, inspect } from './index.mjs'
+import { classifyInvalidPacket } from './stats.mjs'
+import EventEmitter from 'events'
+
+/**
+  A `BusChannel` stands in for the serial port of a single `PID` handle on a `PIDBus`.
+
+  Writes are queued by the bus until the line is free,
+  and `drain` waits until the queued data has actually been written.
+  The line is then held until the `PID` calls `settle`.
+  Only packets from the handle's address are emitted as `'data'`.
+ */
+class BusChannel extends EventEmitter {
+
+  #transmit
+  #detach
+  #written = Promise.resolve()
+  #release = () => {}
+
+  constructor(transmit, detach) {
+    super()
+    this.#transmit = transmit
+    this.#detach = detach
+  }
+
+  write(data) {
+    let { written, release } = this.#transmit(data)
+    this.#written = written
+    this.#release = release
+  }
+
+  settle() {
+    this.#release()
+  }
+
+  drain(callback) {
+    this.#written.then(() => callback(), callback)
+  }
+
+  close(callback) {
+    this.#detach()
+    callback()
+  }
+
+}
+
+/**
+  A `PIDBus` object represents a serial connection shared by several displays,
+  each with their own address, as found on a multi-drop RS-485 line.
+
+  The bus owns the serial port and hands out a `PID` object for each address using `PIDBus.pid`.
+  These behave like any other `PID`,
+  except that packets received from the line are routed to the `PID` whose address they carry,
+  and only one display is spoken to at a time:
+  after a packet is written, no other packet is written
+  until the display acknowledges it or the `PID` stops waiting for it to.
+
+  Every message received is also emitted on the bus as a `'message'` event,
+  packets that cannot be inspected as an `'invalid-packet'` event,
+  and those with an incorrect CRC also as a `'crc-error'` event with the `CRCError` and the packet.
+ */
+export class PIDBus extends EventEmitter {
+
+  #serial
+  #parser
+  #handles = new Map()
+
+  #line = Promise.resolve()
+  #holder = null
+  #lineStats = { crcErrors: 0, framingErrors: 0 }
+
+  /**
+   * Constructs a new PIDBus instance.
+   *
+   * @param {SerialPort} serial a `serialport.SerialPort` object. In normal use a correctly configured one is set by `PIDBus.forDevice`.
+   */
+  constructor(serial) {
+    super()
+    this.#serial = serial
+
+    this.#parser = new PacketParser()
+    this.#parser.on('packet', packet => {
+      let message
+      try {
+        message = inspect(packet)
+      } catch (e) {
+        let counter = classifyInvalidPacket(packet)
+        if (counter) this.#lineStats[counter]++
+        if (e instanceof CRCError) this.emit('crc-error', e, packet)
+        return this.emit('invalid-packet', e, packet)
+      }
+
+      this.#route(message, packet)
+    })
+    this.#parser.on('noise', () => this.#lineStats.framingErrors++)
+
+    serial.on('data', data => this.#parser.write(PID._decodeLine(data)))
+    serial.on('error', err => this.emit('error', err))
+  }
+
+  /**
+   * Construct a `PIDBus` object connected to the specified serial device.
+   *
+   * @param {string} port the serial device name, such as ``/dev/ttyUSB0`` on Linux or ``COM1`` on Windows.
+   */
+  static forDevice(port) {
+    return new PIDBus(new SerialPort({ path: port, baudRate: 9600 }))
+  }
+
+  /**
+   * Gets the `PID` object for the display at an address, creating it if needed.
+   *
+   * @param {int} address the address of the display
+   * @param {Object} [options] options for the `PID`, only used when it is first created.
+   * @param {boolean} [options.ignoreResponses=false] whether to ignore the response from the display whenever `PID.send` is called.
+   * @param {number} [options.ackTimeout=500] the time in milliseconds to wait for the display to acknowledge a transmission unless `PID.send` is given another, during which the line is held for it.
+   * @returns {PID}
+   */
+  pid(address, { ignoreResponses = false, ...options } = {}) {
+    if (this.#handles.has(address)) return this.#handles.get(address).pid
+
+    let channel = new BusChannel(
+      data => this.#transmit(address, data, !ignoreResponses),
+      () => this.#handles.delete(address)
+    )
+
+    let pid = new PID(channel, ignoreResponses, address, options)
+    this.#handles.set(address, { pid, channel })
+
+    return pid
+  }
+
+  /**
+   * The addresses of the displays with a `PID` object on this bus.
+   *
+   * @returns {int[]}
+   */
+  getAddresses() {
+    return [ ...this.#handles.keys() ]
+  }
+
+  /**
+    Statistics of the serial line and each display on it:
+    the ``crcErrors`` and ``framingErrors`` in what was received from the line,
+    which cannot be attributed to a display,
+    and the statistics of each `PID` object as ``displays``, as returned by `PID.getStats`.
+
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      ...this.#lineStats,
+      displays: [ ...this.#handles.values() ].map(({ pid }) => pid.getStats())
+    }
+  }
+
+  #route(message, packet) {
+    let address = message.getAddress()
+    if (message instanceof ResponseMessage && this.#holder?.address === address) this.#holder.release()
+
+    this.#handles.get(address)?.channel.emit('data', PID._encodeLine(packet))
+    this.emit('message', message)
+  }
+
+  #transmit(address, data, held) {
+    let release
+    let released = new Promise(resolve => release = resolve)
+
+    // The display may respond before the write is drained, so the line is held from the start
+    let written = this.#line.then(() => new Promise(resolve => {
+      this.#holder = held ? { address, release } : null
+      this.#serial.write(data)
+      this.#serial.drain(resolve)
+    }))
+
+    this.#line = written.then(() => held && released, () => {}).then(() => this.#holder = null)
+
+    return { written, release }
+  }
+
+  /**
+   * Closes every `PID` object on the bus, then the serial port.
+   */
+  async close() {
+    for (let { pid } of [ ...this.#handles.values() ]) await pid.close()
+    await new Promise(r => this.#serial.close(r))
+  }
+
+}
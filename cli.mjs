@@ -0,0 +1,215 @@
+import { SerialPort } from 'serialport'
+import { parseArgs } from 'util'
+import { crc } from './crc.mjs'
+import { encode } from './dlestxetx.mjs'
+import { DisplayMessage, PID, describe, inspect } from './index.mjs'
+
+const USAGE = `Usage: metlink-pid <command> [options]
+
+Commands:
+  send <port> <message>      Send a message string, such as "V^Hello|World", to the display
+  ping <port>                Ping the display, stopping it from clearing
+  decode <hex>               Decode a packet or payload and print its contents
+  encode <message>           Print the framed packet for a message string, in hex
+  list-ports                 List the serial ports available
+
+Options:
+  -a, --address <address>    The address of the display (default 1)
+  -e, --every <duration>     With ping, ping repeatedly at this interval, such as 30s
+  -t, --timeout <duration>   The time to wait for acknowledgement (default 500ms)
+  -r, --retries <count>      The number of times to resend an unacknowledged packet (default 0)
+  -i, --ignore-responses     Don't wait for acknowledgement
+  -h, --help                 Show this help`
+
+const OPTIONS = {
+  address: { type: 'string', short: 'a', default: '1' },
+  every: { type: 'string', short: 'e' },
+  timeout: { type: 'string', short: 't', default: '500ms' },
+  retries: { type: 'string', short: 'r', default: '0' },
+  'ignore-responses': { type: 'boolean', short: 'i', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+}
+
+/**
+  A `UsageError` is raised when the command line is not understood,
+  and is reported along with the usage instructions.
+ */
+export class UsageError extends Error {
+
+  constructor(message) {
+    super(message)
+    this.name = 'UsageError'
+  }
+
+}
+
+/**
+ * Parses a duration such as ``500ms``, ``30s`` or ``2m``. A bare number is in seconds.
+ *
+ * @param {string} string
+ * @returns {number} the duration in milliseconds
+ * @throws {UsageError} if the duration is not understood
+ */
+export function parseDuration(string) {
+  let match = String(string).match(/^(\d+(?:\.\d+)?)(ms|s|m)?$/)
+  if (!match) throw new UsageError(`Invalid duration ${string}`)
+
+  return Number(match[1]) * { ms: 1, s: 1000, m: 60000 }[match[2] ?? 's']
+}
+
+function parseCount(string, name) {
+  if (!/^\d+$/.test(string)) throw new UsageError(`Invalid ${name} ${string}`)
+
+  return Number(string)
+}
+
+function parseAddress(string) {
+  let address = /^(\d+|0x[0-9a-f]+)$/i.test(string) ? Number(string) : NaN
+  if (!(address >= 0 && address <= 0xFF)) throw new UsageError(`Invalid address ${string}`)
+
+  return address
+}
+
+/**
+  Runs the ``metlink-pid`` command line tool.
+
+  Everything the tool touches outside of the process can be replaced,
+  so that it can be run without a display.
+
+ * @param {string[]} args the command line arguments, without the node executable and script
+ * @param {Object} [io]
+ * @param {Writable} [io.stdout=process.stdout] where output is written
+ * @param {Writable} [io.stderr=process.stderr] where errors are written
+ * @param {Function} [io.openPID] opens a `PID`, given the same arguments as `PID.forDevice`
+ * @param {Function} [io.listPorts] lists the serial ports, as `SerialPort.list` does
+ * @param {AbortSignal} [io.signal] stops repeated pings
+ * @returns {Promise<int>} the exit code
+ */
+export async function main(args, {
+  stdout = process.stdout,
+  stderr = process.stderr,
+  openPID = PID.forDevice,
+  listPorts = () => SerialPort.list(),
+  signal
+} = {}) {
+  try {
+    let { values, positionals } = parseArgs({ args, options: OPTIONS, allowPositionals: true })
+    let [ command, ...operands ] = positionals
+
+    if (values.help) {
+      stdout.write(USAGE + '\n')
+      return 0
+    }
+
+    let expect = count => {
+      if (operands.length !== count) throw new UsageError(`${command} expects ${count} argument${count === 1 ? '' : 's'} but got ${operands.length}`)
+      return operands
+    }
+
+    let address = parseAddress(values.address)
+    let options = {
+      ackTimeout: parseDuration(values.timeout),
+      retries: parseCount(values.retries, 'retries')
+    }
+    let open = port => openPID(port, values['ignore-responses'], address, options)
+
+    switch (command) {
+      case 'send': {
+        let [ port, string ] = expect(2)
+        let message = DisplayMessage.fromStr(string, address)
+        await using(open(port), async pid => {
+          await pid.send(message)
+          stdout.write(`Sent ${message.toString()}\n`)
+        })
+        return 0
+      }
+
+      case 'ping': {
+        let [ port ] = expect(1)
+        let every = values.every && parseDuration(values.every)
+        await using(open(port), async pid => {
+          await ping(pid, stdout, stderr)
+          while (every && !signal?.aborted) {
+            await sleep(every, signal)
+            if (!signal?.aborted) await ping(pid, stdout, stderr, true)
+          }
+        })
+        return 0
+      }
+
+      case 'decode': {
+        let [ hex ] = expect(1)
+        if (!/^([0-9a-f]{2})+$/i.test(hex.replace(/\s|0x/gi, ''))) throw new UsageError(`Invalid hex ${hex}`)
+        stdout.write(describe(inspect(Buffer.from(hex.replace(/\s|0x/gi, ''), 'hex'))) + '\n')
+        return 0
+      }
+
+      case 'encode': {
+        let [ string ] = expect(1)
+        let payload = DisplayMessage.fromStr(string, address).toBytes()
+        stdout.write(encode(Buffer.from([ ...payload, ...crc(payload) ])).toString('hex') + '\n')
+        return 0
+      }
+
+      case 'list-ports': {
+        expect(0)
+        for (let { path, manufacturer, vendorId, productId } of await listPorts()) {
+          let usb = vendorId ? ` (${vendorId}:${productId})` : ''
+          stdout.write(`${path}${manufacturer ? `\t${manufacturer}` : ''}${usb}\n`)
+        }
+        return 0
+      }
+
+      case undefined:
+        throw new UsageError('No command given')
+      default:
+        throw new UsageError(`Unknown command ${command}`)
+    }
+  } catch (e) {
+    if (e instanceof UsageError || e.code?.startsWith('ERR_PARSE_ARGS')) {
+      stderr.write(`${e.message}\n\n${USAGE}\n`)
+      return 2
+    }
+
+    stderr.write(`${e.name}: ${e.message}\n`)
+    return 1
+  }
+}
+
+/**
+ * Runs an action with a `PID`, then closes it.
+ * An `'error'` event from the `PID`, such as when its port can't be opened, fails the action.
+ */
+async function using(pid, action) {
+  let onError
+  let failed = new Promise((resolve, reject) => pid.on('error', onError = reject))
+
+  try {
+    await Promise.race([ action(pid), failed ])
+  } finally {
+    await pid.close()
+    pid.off('error', onError)
+  }
+}
+
+async function ping(pid, stdout, stderr, keepGoing = false) {
+  try {
+    await pid.ping()
+    stdout.write(`Pinged at ${new Date().toISOString()}\n`)
+  } catch (e) {
+    if (!keepGoing) throw e
+    stderr.write(`${e.name}: ${e.message}\n`)
+  }
+}
+
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    let timer = setTimeout(done, ms)
+    function done() {
+      clearTimeout(timer)
+      signal?.removeEventListener('abort', done)
+      resolve()
+    }
+    signal?.addEventListener('abort', done)
+  })
+}
@@ -1,20 +1,89 @@
 import { default as crc16 } from '@taichunmin/crc/crc16x25'
 
-export function crc(str) {
-  let checksum = crc16(Buffer.from(str))
+/**
+  A `CRCError` is raised by `verify` when the CRC at the end of some bytes
+  doesn't match the CRC of the bytes before it.
+ */
+export class CRCError extends RangeError {
+
+  /**
+   * Constructs a new CRCError.
+   *
+   * @param {Buffer} expected the CRC calculated from the bytes
+   * @param {Buffer} actual the CRC found at the end of the bytes
+   */
+  constructor(expected, actual) {
+    super(`Got CRC value ${actual.toString('hex')} when ${expected.toString('hex')} was expected`)
+    this.name = 'CRCError'
+    this.expected = expected
+    this.actual = actual
+  }
+
+}
+
+/**
+ * Converts a `Buffer`, typed array, array of bytes or string into a `Buffer`.
+ *
+ * @throws {RangeError} if an array holds values that aren't bytes
+ */
+function toBuffer(bytes) {
+  if (Buffer.isBuffer(bytes)) return bytes
+  if (typeof bytes === 'string') return Buffer.from(bytes)
+  if (bytes instanceof Uint8Array) return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+
+  let values = Array.from(bytes)
+  let invalid = values.find(value => !Number.isInteger(value) || value < 0x00 || value > 0xFF)
+  if (invalid !== undefined) throw new RangeError(`${invalid} is not a byte`)
+
+  return Buffer.from(values)
+}
+
+/**
+ * Calculates the CRC-16/X-25 checksum of some bytes, as appended to every packet.
+ *
+ * @param {Buffer|Uint8Array|number[]|string} bytes the bytes, given as a `Buffer`, a typed array or an array of byte values, or a string
+ * @returns {Buffer} the checksum, low byte first
+ * @throws {RangeError} if an array holds values that aren't bytes
+ */
+export function crc(bytes) {
+  let checksum = crc16(toBuffer(bytes))
   let high = (checksum & 0xFF00) >> 8
   let low = checksum & 0x00FF
-  
+
   return Buffer.from([low, high])
 }
 
+/**
+ * Checks the CRC at the end of some bytes.
+ *
+ * @param {Buffer|Uint8Array|number[]} bytes the bytes, ending with their checksum
+ * @returns {Buffer} the bytes without the checksum
+ * @throws {RangeError} if there are fewer than 2 bytes
+ * @throws {CRCError} if the checksum is incorrect
+ */
 export function verify(bytes) {
+  bytes = toBuffer(bytes)
   if (bytes.length < 2) throw new RangeError('Value must be at least 2 bytes in length')
   let bytesOut = bytes.subarray(0, -2)
   let crcIn = bytes.subarray(-2)
 
   let crcOut = crc(bytesOut)
-  if (crcIn !== crcOut) throw new RangeError(`Got CRC value ${crcIn.toString(16)} when ${crcOut.toString(16)} was expected`)
-  
+  if (!crcIn.equals(crcOut)) throw new CRCError(crcOut, Buffer.from(crcIn))
+
   return bytesOut
-}
\ No newline at end of file
+}
+
+/**
+ * Checks the CRC at the end of some bytes, as `verify` does, without throwing.
+ *
+ * @param {Buffer|Uint8Array|number[]} bytes the bytes, ending with their checksum
+ * @returns {boolean} whether there are at least 2 bytes and the checksum is correct
+ */
+export function check(bytes) {
+  try {
+    verify(bytes)
+    return true
+  } catch (e) {
+    return false
+  }
+}
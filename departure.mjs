@@ -0,0 +1,171 @@
+import { DisplayMessage, Page, PageAnimate, PIDValidationError } from './index.mjs'
+
+/**
+  A `DepartureTemplate` object formats the details of a train departure
+  as a `DisplayMessage`, in the layout commonly used on platform displays:
+
+  -   A `PageAnimate.VSCROLL` summary page, showing the scheduled time and destination
+      with the countdown right-justified on the first line,
+      and the service type with the platform right-justified on the second:
+
+      > new DepartureTemplate().render({ scheduled: '12:34', destination: 'Funkytown', minutes: 5, type: 'Limited Express', platform: 2 }).toString()
+      'V10^12:34 FUNKYTOWN~5 min_Limited Express~Plat 2'
+
+  -   `PageAnimate.HSCROLL` pages listing the stopping pattern, then any disruption notice,
+      word-wrapped to the width of the display as by `DisplayMessage.fit`.
+
+  Text that doesn't fit beside the right-justified countdown or platform
+  is abbreviated using the same abbreviations as `DisplayMessage.fit`, then shortened.
+  Characters whose width is unknown can't share a line with right-justified text;
+  elsewhere they are assumed to be as wide as the widest known character.
+ */
+export class DepartureTemplate {
+
+  #summaryDelay
+  #abbreviations
+  #uppercaseDestination
+  #countdown
+  #characterSet
+
+  /**
+   * Constructs a new DepartureTemplate.
+   *
+   * @param {Object} [options]
+   * @param {int} [options.summaryDelay=10] the delay of the summary page
+   * @param {Object<string, string>} [options.abbreviations=DisplayMessage._ABBREVIATIONS] a mapping from words to their abbreviations
+   * @param {boolean} [options.uppercaseDestination=true] whether to show the destination in capitals
+   * @param {Function} [options.countdown=DepartureTemplate.countdown] formats the minutes until departure
+   * @param {CharacterSet} [options.characterSet] the characters the pages can show, and their widths. Defaults to `Page.characterSet`.
+   */
+  constructor({
+    summaryDelay = 10,
+    abbreviations = DisplayMessage._ABBREVIATIONS,
+    uppercaseDestination = true,
+    countdown = DepartureTemplate.countdown,
+    characterSet = Page.characterSet
+  } = {}) {
+    this.#summaryDelay = summaryDelay
+    this.#abbreviations = abbreviations
+    this.#uppercaseDestination = uppercaseDestination
+    this.#countdown = countdown
+    this.#characterSet = characterSet
+  }
+
+  /**
+   * The default format of the minutes until departure: ``Now``, or a number of minutes such as ``5 min``.
+   *
+   * @param {number} minutes
+   * @returns {string}
+   */
+  static countdown(minutes) {
+    return minutes < 1 ? 'Now' : `${Math.floor(minutes)} min`
+  }
+
+  /**
+    Formats a departure as a `DisplayMessage`.
+
+   * @param {Object} departure
+   * @param {Date|string} departure.scheduled the scheduled departure time, as a ``Date`` or an already formatted string such as ``12:34``
+   * @param {string} departure.destination the destination of the service
+   * @param {number} [departure.minutes] the minutes until departure, if the countdown is to be shown
+   * @param {string|number} [departure.platform] the platform the service departs from
+   * @param {string} [departure.type] the type of service, such as ``Limited Express``
+   * @param {string[]} [departure.stops] the stations the service stops at
+   * @param {string} [departure.disruption] a notice of any disruption to the service
+   * @param {int} [address] the device address the message is intended for
+   * @returns {DisplayMessage}
+   * @throws {PIDValidationError} if any detail contains characters the display cannot show, including ``_`` and ``~``,
+   *         or characters of unknown width on a line with right-justified text.
+   */
+  render({ scheduled, destination, minutes, platform, type, stops = [], disruption }, address) {
+    let time = scheduled instanceof Date ? DepartureTemplate.#time(scheduled) : String(scheduled)
+    let countdown = typeof minutes === 'number' ? this.#countdown(minutes) : ''
+    let platformText = platform === undefined || platform === null ? '' : `Plat ${platform}`
+
+    let summary = [
+      this.#justify(`${time} ${destination}`, countdown, 'destination', this.#uppercaseDestination),
+      this.#justify(type ?? '', platformText, 'type')
+    ].filter(Boolean).join(Page._NEWLINE_CHAR)
+
+    let pages = [ new Page(PageAnimate.VSCROLL, this.#summaryDelay, summary, this.#characterSet) ]
+
+    if (stops.length) pages.push(...this.#scroll(DepartureTemplate.stoppingPattern(stops), 'stops'))
+    if (disruption) pages.push(...this.#scroll(disruption, 'disruption'))
+
+    return new DisplayMessage(pages, address)
+  }
+
+  /**
+   * Describes a stopping pattern, such as ``Stops at Petone, Melling and Taita``.
+   *
+   * @param {string[]} stops the stations the service stops at
+   * @returns {string}
+   */
+  static stoppingPattern(stops) {
+    if (stops.length === 1) return `Stops at ${stops[0]} only`
+    return `Stops at ${stops.slice(0, -1).join(', ')} and ${stops[stops.length - 1]}`
+  }
+
+  static #time(date) {
+    return [ date.getHours(), date.getMinutes() ].map(part => String(part).padStart(2, '0')).join(':')
+  }
+
+  /**
+   * Builds a line with text on the left and right-justified text on the right,
+   * abbreviating then shortening the left to fit.
+   */
+  #justify(left, right, field, uppercase = false) {
+    left = this.#characterSet.transliterate(left)
+    right = this.#characterSet.transliterate(right)
+    this.#check(left, field, Boolean(right))
+    this.#check(right, field, true)
+
+    let widest = Math.max(...Object.values(this.#characterSet.getWidths()))
+    let width = text => this.#characterSet.width(text, widest)
+    let available = Page._DISPLAY_WIDTH - (right ? Page._RIGHT_GAP + width(right) : 0)
+    let words = left.split(/\s+/).filter(Boolean)
+    let text = () => uppercase ? words.join(' ').toUpperCase() : words.join(' ')
+
+    for (let i = words.length - 1; i >= 0 && width(text()) > available; i--) {
+      words[i] = words[i].replace(/^[A-Za-z]+/, letters => this.#abbreviations[letters] ?? letters)
+    }
+
+    let line = text()
+    while (width(line) > available) line = line.slice(0, -1)
+    line = line.trimEnd()
+
+    return right ? `${line}${Page._RIGHT_CHAR_DECODED}${right}` : line
+  }
+
+  /**
+   * Word-wraps text into `PageAnimate.HSCROLL` pages.
+   */
+  #scroll(text, field) {
+    text = this.#characterSet.transliterate(text)
+    this.#check(text, field)
+
+    let lines = DisplayMessage._wrap(text, this.#abbreviations, this.#characterSet)
+    let pages = []
+    for (let i = 0; i < lines.length; i += Page._DISPLAY_LINES) {
+      pages.push(new Page(PageAnimate.HSCROLL, 0, lines.slice(i, i + Page._DISPLAY_LINES).join(Page._NEWLINE_CHAR), this.#characterSet))
+    }
+
+    return pages
+  }
+
+  /**
+   * Checks that text can be shown, and measured if it shares a line with right-justified text.
+   */
+  #check(text, field, measured = false) {
+    for (let position = 0; position < text.length; position++) {
+      let char = text[position]
+      if (!this.#characterSet.canEncode(char)) {
+        throw new PIDValidationError(`${char} not in allowed characters`, { field, value: char, position })
+      }
+      if (measured && !this.#characterSet.canMeasure(char)) {
+        throw new PIDValidationError(`${char} cannot be right-justified, as its width is unknown`, { field, value: char, position })
+      }
+    }
+  }
+
+}
@@ -1,3 +1,5 @@
+import EventEmitter from 'events'
+
 const STX = 0x02
 const ETX = 0x03
 const DLE = 0x10
@@ -66,4 +68,112 @@ export function decode(data) {
   if (bytesRead !== data.length) throw new RangeError(`Extraneous bytes from index ${bytesRead++}: ${data.subarray(bytesRead)}`)
 
   return decoded.subarray(0, size)
-}
\ No newline at end of file
+}
+
+/**
+ * Incrementally splits a stream of bytes into DLE/STX/ETX packets.
+ * 
+ * Bytes are supplied in arbitrarily sized chunks using `write`,
+ * so packets may be split across chunks or several may arrive in one chunk.
+ * Each complete packet, including its framing, is emitted as a `'packet'` event.
+ * 
+ * Bytes outside of a packet, and partial packets abandoned because of
+ * a framing error or a new ``DLE STX`` header, are emitted as a `'noise'` event
+ * when the next header is found, or whenever ``maxLength`` of them have been read without one.
+ * The parser resynchronises on the next ``DLE STX`` header.
+ */
+export class PacketParser extends EventEmitter {
+
+  #maxLength
+  #packet
+  #noise
+  #escaped
+
+  /**
+   * Constructs a new PacketParser.
+   * 
+   * @param {int} [maxLength=4096] the length at which an unterminated packet is abandoned as noise, and at which noise is emitted without waiting for a header.
+   */
+  constructor(maxLength = 4096) {
+    super()
+    this.#maxLength = maxLength
+    this.reset()
+  }
+
+  /**
+   * Discards any partially read packet and waits for the next ``DLE STX`` header.
+   */
+  reset() {
+    this.#packet = null
+    this.#noise = []
+    this.#escaped = false
+  }
+
+  /**
+   * Supply more bytes to the parser.
+   * 
+   * @param {Buffer} chunk the bytes read
+   */
+  write(chunk) {
+    for (let byte of chunk) {
+      if (this.#packet) this.#readPacketByte(byte)
+      else this.#readNoiseByte(byte)
+    }
+  }
+
+  #readNoiseByte(byte) {
+    if (this.#escaped && byte === STX) {
+      this.#noise.pop()
+      this.#startPacket()
+      return
+    }
+
+    this.#noise.push(byte)
+    this.#escaped = byte === DLE
+
+    // A trailing DLE is kept, as it may start a header
+    if (this.#noise.length >= this.#maxLength && !this.#escaped) {
+      this.emit('noise', Buffer.from(this.#noise))
+      this.#noise = []
+    }
+  }
+
+  #readPacketByte(byte) {
+    if (!this.#escaped) {
+      if (byte === DLE) this.#escaped = true
+      else this.#packet.push(byte)
+    } else {
+      this.#escaped = false
+
+      if (byte === DLE) this.#packet.push(DLE, DLE)
+      else if (byte === ETX) {
+        let packet = Buffer.from([ ...this.#packet, ...PACKET_FOOTER ])
+        this.#packet = null
+        this.emit('packet', packet)
+        return
+      } else if (byte === STX) {
+        this.#noise = this.#packet
+        this.#startPacket()
+        return
+      } else {
+        this.#noise = [ ...this.#packet, DLE, byte ]
+        this.#packet = null
+        return
+      }
+    }
+
+    if (this.#packet.length > this.#maxLength) {
+      this.#noise = this.#packet
+      this.#packet = null
+      this.#escaped = false
+    }
+  }
+
+  #startPacket() {
+    if (this.#noise.length) this.emit('noise', Buffer.from(this.#noise))
+    this.#noise = []
+    this.#escaped = false
+    this.#packet = [ ...PACKET_HEADER ]
+  }
+
+}
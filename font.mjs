@@ -0,0 +1,116 @@
+/**
+ * The height in pixels of every glyph, and so of every line of text on the display.
+ * The last row is only used by descenders, leaving a gap between lines.
+ */
+export const GLYPH_HEIGHT = 8
+
+/**
+ * Builds a glyph from rows of ``#`` (lit) and ``.`` (unlit) pixels separated by spaces.
+ * Rows missing from the bottom of the glyph are unlit.
+ */
+function glyph(rows) {
+  let pixels = rows.split(' ').map(row => [ ...row ].map(pixel => pixel === '#' ? 1 : 0))
+  while (pixels.length < GLYPH_HEIGHT) pixels.push(Array(pixels[0].length).fill(0))
+
+  return pixels
+}
+
+/**
+ * A bitmap font for rendering the characters of `CharacterSet.standard`,
+ * given as an array of rows of pixels for each character.
+ *
+ * Each glyph is one pixel narrower than the width of its character in the character set,
+ * the extra column being the gap before the next character.
+ * Where the width of a character isn't known, as for ``#``, ``$`` and ``+``, its glyph is only a likeness.
+ */
+export const GLYPHS = {
+  ' ': glyph('... ... ... ... ... ... ...'),
+  '!': glyph('#. #. #. #. #. .. #.'),
+  '#': glyph('.#.#. .#.#. ##### .#.#. ##### .#.#. .#.#.'),
+  '$': glyph('..#.. .#### #.#.. .###. ..#.# ####. ..#..'),
+  '&': glyph('.##.. #..#. #.#.. .#... #.#.# #..#. .##.#'),
+  '\'': glyph('# # . . . . .'),
+  '(': glyph('.# #. #. #. #. #. .#'),
+  ')': glyph('#. .# .# .# .# .# #.'),
+  '*': glyph('..... ..#.. #.#.# .###. #.#.# ..#.. .....'),
+  '+': glyph('..... ..#.. ..#.. ##### ..#.. ..#.. .....'),
+  ',': glyph('.. .. .. .. .. .# .# #.'),
+  '-': glyph('.... .... .... #### .... .... ....'),
+  '.': glyph('.. .. .. .. .. ## ##'),
+  '/': glyph('..... ....# ...#. ..#.. .#... #.... .....'),
+  '0': glyph('.##. #..# #..# #..# #..# #..# .##.'),
+  '1': glyph('.#. ##. .#. .#. .#. .#. ###'),
+  '2': glyph('.###. #...# ....# ...#. ..#.. .#... #####'),
+  '3': glyph('##### ...#. ..#.. ...#. ....# #...# .###.'),
+  '4': glyph('...#. ..##. .#.#. #..#. ##### ...#. ...#.'),
+  '5': glyph('##### #.... ####. ....# ....# #...# .###.'),
+  '6': glyph('..##. .#... #.... ####. #...# #...# .###.'),
+  '7': glyph('##### ....# ...#. ..#.. .#... .#... .#...'),
+  '8': glyph('.###. #...# #...# .###. #...# #...# .###.'),
+  '9': glyph('.###. #...# #...# .#### ....# ...#. .##..'),
+  ':': glyph('... .#. .#. ... .#. .#. ...'),
+  ';': glyph('... .#. .#. ... .#. .#. #..'),
+  '<': glyph('... ..# .#. #.. .#. ..# ...'),
+  '=': glyph('.... .... #### .... #### .... ....'),
+  '>': glyph('... #.. .#. ..# .#. #.. ...'),
+  '?': glyph('.##. #..# ...# ..#. .#.. .... .#..'),
+  'A': glyph('.###. #...# #...# ##### #...# #...# #...#'),
+  'B': glyph('####. #...# #...# ####. #...# #...# ####.'),
+  'C': glyph('.###. #...# #.... #.... #.... #...# .###.'),
+  'D': glyph('####. #...# #...# #...# #...# #...# ####.'),
+  'E': glyph('##### #.... #.... ####. #.... #.... #####'),
+  'F': glyph('##### #.... #.... ####. #.... #.... #....'),
+  'G': glyph('.###. #...# #.... #.### #...# #...# .####'),
+  'H': glyph('#...# #...# #...# ##### #...# #...# #...#'),
+  'I': glyph('### .#. .#. .#. .#. .#. ###'),
+  'J': glyph('..### ...#. ...#. ...#. ...#. #..#. .##..'),
+  'K': glyph('#...# #..#. #.#.. ##... #.#.. #..#. #...#'),
+  'L': glyph('#.... #.... #.... #.... #.... #.... #####'),
+  'M': glyph('#...# ##.## #.#.# #.#.# #...# #...# #...#'),
+  'N': glyph('#...# #...# ##..# #.#.# #..## #...# #...#'),
+  'O': glyph('.###. #...# #...# #...# #...# #...# .###.'),
+  'P': glyph('####. #...# #...# ####. #.... #.... #....'),
+  'Q': glyph('.###. #...# #...# #...# #.#.# #..#. .##.#'),
+  'R': glyph('####. #...# #...# ####. #.#.. #..#. #...#'),
+  'S': glyph('.#### #.... #.... .###. ....# ....# ####.'),
+  'T': glyph('##### ..#.. ..#.. ..#.. ..#.. ..#.. ..#..'),
+  'U': glyph('#...# #...# #...# #...# #...# #...# .###.'),
+  'V': glyph('#...# #...# #...# #...# #...# .#.#. ..#..'),
+  'W': glyph('#...# #...# #...# #.#.# #.#.# #.#.# .#.#.'),
+  'X': glyph('#...# #...# .#.#. ..#.. .#.#. #...# #...#'),
+  'Y': glyph('#...# #...# .#.#. ..#.. ..#.. ..#.. ..#..'),
+  'Z': glyph('##### ....# ...#. ..#.. .#... #.... #####'),
+  '\\': glyph('..... #.... .#... ..#.. ...#. ....# .....'),
+  'a': glyph('..... ..... .###. ....# .#### #...# .####'),
+  'b': glyph('#.... #.... #.##. ##..# #...# #...# ####.'),
+  'c': glyph('..... ..... .###. #.... #.... #...# .###.'),
+  'd': glyph('....# ....# .##.# #..## #...# #...# .####'),
+  'e': glyph('..... ..... .###. #...# ##### #.... .###.'),
+  'f': glyph('..##. .#..# .#... ###.. .#... .#... .#...'),
+  'g': glyph('..... ..... .#### #...# #...# .#### ....# .###.'),
+  'h': glyph('#.... #.... #.##. ##..# #...# #...# #...#'),
+  'i': glyph('.#. ... ##. .#. .#. .#. ###'),
+  'j': glyph('...# .... ..## ...# ...# ...# #..# .##.'),
+  'k': glyph('#... #... #..# #.#. ##.. #.#. #..#'),
+  'l': glyph('##. .#. .#. .#. .#. .#. ###'),
+  'm': glyph('..... ..... ##.#. #.#.# #.#.# #...# #...#'),
+  'n': glyph('..... ..... #.##. ##..# #...# #...# #...#'),
+  'o': glyph('..... ..... .###. #...# #...# #...# .###.'),
+  'p': glyph('..... ..... ####. #...# #...# ####. #.... #....'),
+  'q': glyph('..... ..... .#### #...# #...# .#### ....# ....#'),
+  'r': glyph('..... ..... #.##. ##..# #.... #.... #....'),
+  's': glyph('..... ..... .###. #.... .###. ....# ####.'),
+  't': glyph('.#... .#... ###.. .#... .#... .#..# ..##.'),
+  'u': glyph('..... ..... #...# #...# #...# #..## .##.#'),
+  'v': glyph('..... ..... #...# #...# #...# .#.#. ..#..'),
+  'w': glyph('..... ..... #...# #...# #.#.# #.#.# .#.#.'),
+  'x': glyph('..... ..... #...# .#.#. ..#.. .#.#. #...#'),
+  'y': glyph('..... ..... #...# #...# #...# .#### ....# .###.'),
+  'z': glyph('..... ..... ##### ...#. ..#.. .#... #####'),
+  '·': glyph('. . . # . . .'),  // MIDDLE DOT
+  '•': glyph('.. .. ## ## .. .. ..'),  // BULLET
+  '─': glyph('..... ..... ..... ##### ..... ..... .....'),  // BOX DRAWINGS LIGHT HORIZONTAL
+  '━': glyph('..... ..... ##### ##### ..... ..... .....'),  // BOX DRAWINGS HEAVY HORIZONTAL
+  '█': glyph('##### ##### ##### ##### ##### ##### #####'),  // FULL BLOCK
+  '▔': glyph('##### ..... ..... ..... ..... ..... .....'),  // UPPER ONE EIGHTH BLOCK
+}
@@ -0,0 +1,454 @@
+import { readFile } from 'fs/promises'
+import path from 'path'
+import GtfsRealtimeBindings from 'gtfs-realtime-bindings'
+import { DepartureTemplate } from './departure.mjs'
+import { DisplayMessage, Page, PageAnimate } from './index.mjs'
+import EventEmitter from 'events'
+
+const { FeedMessage } = GtfsRealtimeBindings.transit_realtime
+
+const WEEKDAYS = [ 'sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday' ]
+
+/** How far ahead departures are looked for, in milliseconds. */
+const LOOKAHEAD = 24 * 60 * 60 * 1000
+
+/**
+ * Parses CSV text as used by GTFS into an array of objects keyed by the header row.
+ */
+function parseCSV(text) {
+  let rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+
+  text = text.replace(/^\uFEFF/, '')
+  for (let i = 0; i < text.length; i++) {
+    let char = text[i]
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') quoted = false
+      else field += char
+    } else if (char === '"') quoted = true
+    else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else field += char
+  }
+
+  if (field || row.length) {
+    row.push(field)
+    rows.push(row)
+  }
+
+  let [ header = [], ...records ] = rows.filter(row => row.some(Boolean))
+  return records.map(record => Object.fromEntries(header.map((name, i) => [ name.trim(), record[i] ?? '' ])))
+}
+
+/**
+ * Parses a GTFS time of day, which can be past ``24:00:00`` for trips running after midnight.
+ *
+ * @returns {number} the seconds since the start of the service day
+ */
+function parseTime(time) {
+  let [ hours, minutes, seconds ] = time.split(':').map(Number)
+  return hours * 3600 + minutes * 60 + seconds
+}
+
+function dateString(date) {
+  return `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`
+}
+
+/**
+ * Removes accents, and any other characters the display cannot show, from text taken from a feed.
+ * Characters of unknown width are removed too, as they can't be shown beside a right-justified countdown.
+ */
+function displayable(text) {
+  return text
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .replace(/"/g, '\'')
+    .split('')
+    .filter(char => Page.characterSet.canMeasure(char))
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+/**
+  Decodes a GTFS-Realtime feed into the trip updates relevant to departures.
+
+ * @param {Buffer} buffer the protocol buffer encoded ``FeedMessage``
+ * @returns {{ timestamp: number, trips: Map<string, { canceled: boolean, updates: Object[] }> }}
+    the time the feed was produced, in milliseconds,
+    and for each trip whether it is canceled and its stop time updates,
+    each with its ``stopId``, ``stopSequence``, ``delay`` in seconds, ``time`` in milliseconds and whether it is ``skipped``.
+ */
+export function parseRealtime(buffer) {
+  let feed = FeedMessage.toObject(FeedMessage.decode(buffer), { enums: String, longs: Number })
+  let trips = new Map()
+
+  for (let { tripUpdate } of feed.entity ?? []) {
+    if (!tripUpdate?.trip?.tripId) continue
+
+    trips.set(tripUpdate.trip.tripId, {
+      canceled: tripUpdate.trip.scheduleRelationship === 'CANCELED',
+      updates: (tripUpdate.stopTimeUpdate ?? []).map(update => {
+        let event = update.departure ?? update.arrival ?? {}
+        return {
+          stopId: update.stopId,
+          stopSequence: update.stopSequence,
+          delay: event.delay,
+          time: event.time ? event.time * 1000 : undefined,
+          skipped: update.scheduleRelationship === 'SKIPPED'
+        }
+      })
+    })
+  }
+
+  return { timestamp: (feed.header?.timestamp ?? 0) * 1000, trips }
+}
+
+/**
+  A `GTFSFeed` object holds a GTFS static feed,
+  and computes the departures from a stop using its timetable
+  and optionally a GTFS-Realtime feed.
+
+  Only the files needed for departures are used:
+  ``stops.txt``, ``trips.txt`` and ``stop_times.txt`` are required,
+  and ``routes.txt``, ``calendar.txt`` and ``calendar_dates.txt`` are used if present.
+  Without either calendar file, every trip is assumed to run every day.
+
+  Times are taken to be in the local time zone of the process.
+ */
+export class GTFSFeed {
+
+  #stops
+  #trips
+  #routes
+  #stopTimes = new Map()
+  #calendar
+  #calendarDates = new Map()
+  #hasCalendar
+
+  /**
+   * Constructs a new GTFSFeed from the rows of each file.
+   *
+   * @param {Object} files the rows of each file, as objects keyed by the header row
+   * @param {Object[]} files.stops
+   * @param {Object[]} files.trips
+   * @param {Object[]} files.stopTimes
+   * @param {Object[]} [files.routes]
+   * @param {Object[]} [files.calendar]
+   * @param {Object[]} [files.calendarDates]
+   */
+  constructor({ stops, trips, stopTimes, routes = [], calendar = [], calendarDates = [] }) {
+    this.#stops = new Map(stops.map(stop => [ stop.stop_id, stop ]))
+    this.#trips = new Map(trips.map(trip => [ trip.trip_id, trip ]))
+    this.#routes = new Map(routes.map(route => [ route.route_id, route ]))
+    this.#calendar = new Map(calendar.map(service => [ service.service_id, service ]))
+    this.#hasCalendar = calendar.length > 0 || calendarDates.length > 0
+
+    for (let stopTime of stopTimes) {
+      if (!this.#stopTimes.has(stopTime.trip_id)) this.#stopTimes.set(stopTime.trip_id, [])
+      this.#stopTimes.get(stopTime.trip_id).push({ ...stopTime, stop_sequence: Number(stopTime.stop_sequence) })
+    }
+    for (let times of this.#stopTimes.values()) times.sort((a, b) => a.stop_sequence - b.stop_sequence)
+
+    for (let { service_id, date, exception_type } of calendarDates) {
+      if (!this.#calendarDates.has(service_id)) this.#calendarDates.set(service_id, new Map())
+      this.#calendarDates.get(service_id).set(date, exception_type)
+    }
+  }
+
+  /**
+   * Reads a GTFS static feed from a directory holding its unzipped files.
+   *
+   * @param {string} directory
+   * @returns {Promise<GTFSFeed>}
+   */
+  static async fromDirectory(directory) {
+    let read = async (file, required = true) => {
+      try {
+        return parseCSV(await readFile(path.join(directory, file), 'utf8'))
+      } catch (e) {
+        if (!required && e.code === 'ENOENT') return []
+        throw e
+      }
+    }
+
+    return new GTFSFeed({
+      stops: await read('stops.txt'),
+      trips: await read('trips.txt'),
+      stopTimes: await read('stop_times.txt'),
+      routes: await read('routes.txt', false),
+      calendar: await read('calendar.txt', false),
+      calendarDates: await read('calendar_dates.txt', false)
+    })
+  }
+
+  /**
+   * Whether a service runs on a day.
+   *
+   * @param {string} serviceId
+   * @param {Date} day
+   * @returns {boolean}
+   */
+  runsOn(serviceId, day) {
+    if (!this.#hasCalendar) return true
+
+    let date = dateString(day)
+    let exception = this.#calendarDates.get(serviceId)?.get(date)
+    if (exception === '1') return true
+    if (exception === '2') return false
+
+    let service = this.#calendar.get(serviceId)
+    return Boolean(service && service[WEEKDAYS[day.getDay()]] === '1' && service.start_date <= date && date <= service.end_date)
+  }
+
+  /**
+    Computes the next departures from a stop.
+
+    A station can be given by the ``stop_id`` of its parent station,
+    in which case departures from every platform are included unless a ``platform`` is given.
+    Canceled trips are left out, and skipped stops are left out of stopping patterns.
+
+   * @param {Object} options
+   * @param {string} options.stopId the ``stop_id`` of the stop or its parent station
+   * @param {string} [options.platform] only include departures from the stop with this ``platform_code``
+   * @param {Date} [options.now=new Date()] only include departures at or after this time, and scheduled within a day of it
+   * @param {int} [options.limit=3] the most departures to include
+   * @param {Object} [options.realtime] trip updates as returned by `parseRealtime`
+   * @returns {{ tripId: string, scheduled: Date, expected: Date, destination: string, platform: string, type: string, stops: string[] }[]}
+      the departures in the order they are expected, with their stopping patterns.
+   */
+  departures({ stopId, platform, now = new Date(), limit = 3, realtime }) {
+    let stopIds = new Set([ ...this.#stops.values() ]
+      .filter(stop => stop.stop_id === stopId || stop.parent_station === stopId)
+      .filter(stop => platform === undefined || stop.platform_code === String(platform))
+      .map(stop => stop.stop_id))
+
+    let departures = []
+    // Trips of the previous service day can run past midnight, and those of the next can leave soon after it
+    for (let dayOffset of [ -1, 0, 1 ]) {
+      let day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + dayOffset)
+
+      for (let [ tripId, times ] of this.#stopTimes) {
+        let trip = this.#trips.get(tripId)
+        if (!trip || !this.runsOn(trip.service_id, day)) continue
+
+        let update = realtime?.trips.get(tripId)
+        if (update?.canceled) continue
+
+        let index = times.findIndex(time => stopIds.has(time.stop_id))
+        if (index === -1 || index === times.length - 1) continue
+
+        let stopTime = times[index]
+        let scheduled = new Date(day.getTime() + parseTime(stopTime.departure_time || stopTime.arrival_time) * 1000)
+        let expected = GTFSFeed.#expected(scheduled, times, stopTime, update)
+        if (expected < now || scheduled - now >= LOOKAHEAD) continue
+
+        let skipped = new Set((update?.updates ?? []).filter(update => update.skipped).map(update => update.stopId))
+        let route = this.#routes.get(trip.route_id)
+
+        departures.push({
+          tripId,
+          scheduled,
+          expected,
+          destination: trip.trip_headsign || this.#stopName(times[times.length - 1].stop_id),
+          platform: this.#stops.get(stopTime.stop_id)?.platform_code || undefined,
+          type: route?.route_long_name || route?.route_short_name || undefined,
+          stops: times.slice(index + 1).filter(time => !skipped.has(time.stop_id)).map(time => this.#stopName(time.stop_id))
+        })
+      }
+    }
+
+    return departures.sort((a, b) => a.expected - b.expected).slice(0, limit)
+  }
+
+  /**
+   * Applies the latest realtime update at or before a stop to its scheduled time.
+   * Updates given by ``stop_id`` alone are placed using the stop times of the trip.
+   */
+  static #expected(scheduled, times, stopTime, update) {
+    let sequence = update => update.stopSequence ?? times.find(time => time.stop_id === update.stopId)?.stop_sequence ?? Infinity
+    let latest = (update?.updates ?? [])
+      .filter(update => !update.skipped && sequence(update) <= stopTime.stop_sequence)
+      .sort((a, b) => sequence(a) - sequence(b))
+      .at(-1)
+
+    if (latest && sequence(latest) === stopTime.stop_sequence && latest.time) return new Date(latest.time)
+    if (typeof latest?.delay === 'number') return new Date(scheduled.getTime() + latest.delay * 1000)
+    return scheduled
+  }
+
+  #stopName(stopId) {
+    let stop = this.#stops.get(stopId)
+    let station = stop?.parent_station ? this.#stops.get(stop.parent_station) : null
+    return (station ?? stop)?.stop_name ?? stopId
+  }
+
+}
+
+/**
+  A `GTFSAdapter` object keeps a display up to date with the next departures from a stop.
+
+  Each `update` computes the departures from the GTFS static feed and the latest GTFS-Realtime feed,
+  formats the next departure using a `DepartureTemplate`,
+  follows it with a page listing the departures after it,
+  and sends the resulting string to the `PID` using `PID.send`
+  only if it differs from the last string sent.
+
+  Emits an `'update'` event with the string and the departures whenever one is sent,
+  and an `'error'` event if an automatic update fails.
+ */
+export class GTFSAdapter extends EventEmitter {
+
+  #pid
+  #feed
+  #stopId
+  #platform
+  #realtime
+  #template
+  #following
+  #idleText
+  #now
+
+  #lastSent = null
+  #timer = null
+  #generation = 0
+
+  /**
+   * Constructs a new GTFSAdapter.
+   *
+   * @param {PID} pid the display to update
+   * @param {GTFSFeed} feed the GTFS static feed
+   * @param {Object} options
+   * @param {string} options.stopId the ``stop_id`` of the stop or its parent station
+   * @param {string} [options.platform] only show departures from the stop with this ``platform_code``
+   * @param {string|Function} [options.realtime] the path of a GTFS-Realtime file, read on every update, or a function resolving to its contents
+   * @param {DepartureTemplate} [options.template] formats the next departure
+   * @param {int} [options.following=2] the number of later departures to list after the next
+   * @param {string} [options.idleText='No departures'] the text shown when there are no departures
+   * @param {Function} [options.now] gets the current time, for testing against recorded feeds
+   */
+  constructor(pid, feed, {
+    stopId,
+    platform,
+    realtime,
+    template = new DepartureTemplate(),
+    following = 2,
+    idleText = 'No departures',
+    now = () => new Date()
+  }) {
+    super()
+    this.#pid = pid
+    this.#feed = feed
+    this.#stopId = stopId
+    this.#platform = platform
+    this.#realtime = typeof realtime === 'string' ? () => readFile(realtime) : realtime
+    this.#template = template
+    this.#following = following
+    this.#idleText = idleText
+    this.#now = now
+  }
+
+  /**
+   * Computes the message for the current departures, without sending it.
+   *
+   * @returns {Promise<{ string: string, departures: Object[] }>}
+   */
+  async compute() {
+    let now = this.#now()
+    let realtime = this.#realtime ? parseRealtime(await this.#realtime()) : undefined
+    let departures = this.#feed.departures({
+      stopId: this.#stopId,
+      platform: this.#platform,
+      now,
+      limit: 1 + this.#following,
+      realtime
+    })
+
+    if (!departures.length) return { string: DisplayMessage.fromStr(displayable(this.#idleText)).toString(), departures }
+
+    let [ next, ...following ] = departures.map(departure => this.#details(departure, now))
+    let pages = [ this.#template.render(next).toString() ]
+
+    for (let i = 0; i < following.length; i += Page._DISPLAY_LINES) {
+      let lines = following.slice(i, i + Page._DISPLAY_LINES).map(departure => {
+        return this.#template.render({ ...departure, type: undefined, platform: undefined, stops: [] }).getPages()[0].getText()
+      })
+      pages.push(new Page(PageAnimate.HSCROLL, 0, lines.join(Page._NEWLINE_CHAR)).toString())
+    }
+
+    return { string: pages.join(DisplayMessage._PAGE_SEP), departures }
+  }
+
+  #details({ expected, scheduled, destination, platform, type, stops }, now) {
+    return {
+      scheduled,
+      minutes: Math.max(0, Math.floor((expected - now) / 60000)),
+      destination: displayable(destination),
+      platform: platform && displayable(platform),
+      type: type && displayable(type),
+      stops: stops.map(displayable).filter(Boolean)
+    }
+  }
+
+  /**
+   * Sends the message for the current departures, if it has changed.
+   *
+   * @returns {Promise<boolean>} whether a message was sent
+   */
+  async update() {
+    let { string, departures } = await this.compute()
+    if (string === this.#lastSent) return false
+
+    await this.#pid.send(string)
+    this.#lastSent = string
+    this.emit('update', string, departures)
+
+    return true
+  }
+
+  /**
+   * Update the display now and then at a regular interval.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.intervalMs=30000] the time between updates, in milliseconds
+   */
+  start({ intervalMs = 30000 } = {}) {
+    this.stop()
+
+    // An update still running from before a restart must not schedule another
+    let generation = this.#generation
+    let tick = async () => {
+      try {
+        await this.update()
+      } catch (e) {
+        this.emit('error', e)
+      }
+
+      if (generation === this.#generation) this.#timer = setTimeout(tick, intervalMs)
+    }
+
+    this.#timer = setTimeout(tick, 0)
+  }
+
+  /**
+   * Stop updating the display.
+   */
+  stop() {
+    clearTimeout(this.#timer)
+    this.#timer = null
+    this.#generation++
+  }
+
+}
@@ -0,0 +1,247 @@
+import http from 'http'
+import { PIDServer } from './bridge.mjs'
+import { AckTimeoutError, DisplayMessage, PIDValidationError, ResponseMessage } from './index.mjs'
+import { VirtualDisplay } from './virtual-display.mjs'
+
+const MAX_BODY_LENGTH = 64 * 1024
+
+/**
+  An `HTTPError` is raised while handling a request to a `PIDHTTPServer`
+  to respond with an error status code.
+ */
+class HTTPError extends Error {
+
+  constructor(status, message) {
+    super(message)
+    this.name = 'HTTPError'
+    this.status = status
+  }
+
+}
+
+/**
+  A `PIDHTTPServer` object provides an HTTP API for the displays on a `PIDBus`,
+  so that they can be updated from a browser or another service.
+
+  Displays are identified by their address, in decimal or as ``0x`` hexadecimal:
+
+  -   ``GET /displays`` lists the state of every display that has been used.
+  -   ``GET /displays/:address`` gets the state of a display:
+      the string and JSON representations of the last `DisplayMessage` sent,
+      the ``status`` of the last transmission
+      (``acknowledged``, ``unacknowledged``, ``sent`` if responses are ignored, or ``failed``),
+      and when a message was last sent to and received from the display.
+  -   ``PUT /displays/:address/message`` sends a `DisplayMessage`,
+      given as a ``text/plain`` string representation as accepted by `DisplayMessage.fromStr`,
+      or as its ``application/json`` representation as accepted by `DisplayMessage.fromJSON`
+      or an array of page objects, as accepted by the ``JSON`` command of `PIDServer`.
+  -   ``POST /displays/:address/ping`` pings a display.
+  -   ``GET /displays/:address/preview`` renders a page of the last `DisplayMessage` sent as a PNG image,
+      choosing the page and the size of each pixel with the ``page`` and ``scale`` query parameters.
+
+  Responses other than previews are JSON.
+  A transmission the display does not acknowledge responds with status 504,
+  and a message the display cannot show with status 400 and the details of the `PIDValidationError`.
+ */
+export class PIDHTTPServer {
+
+  #bus
+  #pidOptions
+  #server = null
+  #displays = new Map()
+
+  /**
+   * Constructs a new PIDHTTPServer.
+   *
+   * @param {PIDBus} bus the bus the displays are on. It is not closed when the server is.
+   * @param {Object} [options]
+   * @param {Object} [options.pidOptions] options for each `PID`, as accepted by `PIDBus.pid`.
+   */
+  constructor(bus, { pidOptions = {} } = {}) {
+    this.#bus = bus
+    this.#pidOptions = pidOptions
+
+    bus.on('message', message => {
+      let display = this.#displays.get(message.getAddress())
+      if (display) display.lastSeen = new Date()
+    })
+  }
+
+  /**
+   * Start accepting HTTP requests.
+   *
+   * @param {Object} [options]
+   * @param {int} [options.port=0] the port to listen on, or ``0`` for any free port.
+   * @param {string} [options.host] the address to listen on. Defaults to all addresses.
+   * @returns {Promise<int>} the port being listened on
+   */
+  async listen({ port = 0, host } = {}) {
+    this.#server = http.createServer((req, res) => this.handle(req, res))
+    await new Promise((resolve, reject) => {
+      this.#server.once('error', reject)
+      this.#server.listen(port, host, resolve)
+    })
+
+    return this.#server.address().port
+  }
+
+  /**
+   * Handle an HTTP request, for use with an existing ``http.Server``.
+   *
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  async handle(req, res) {
+    try {
+      let { pathname, searchParams } = new URL(req.url, 'http://localhost')
+      let match = pathname.match(/^\/displays(?:\/(?<address>[^/]+)(?<action>\/message|\/ping|\/preview)?)?\/?$/)
+      if (!match) throw new HTTPError(404, `No such resource ${pathname}`)
+
+      let { address, action = '' } = match.groups
+      let route = `${req.method} ${address ? '/:address' : ''}${action}`
+
+      if (route === 'GET ') return this.#json(res, 200, [ ...this.#displays.keys() ].map(address => this.#state(address)))
+
+      address = PIDHTTPServer._parseAddress(address)
+      switch (route) {
+        case 'GET /:address': return this.#json(res, 200, this.#state(address))
+        case 'PUT /:address/message': return await this.#putMessage(req, res, address)
+        case 'POST /:address/ping': return await this.#ping(res, address)
+        case 'GET /:address/preview': return this.#preview(res, address, searchParams)
+      }
+
+      throw new HTTPError(405, `${req.method} not allowed for ${pathname}`)
+    } catch (e) {
+      if (e instanceof HTTPError) return this.#json(res, e.status, { error: e.message })
+      if (e instanceof PIDValidationError) {
+        let { reason, field, value, page, position } = e
+        return this.#json(res, 400, { error: e.message, reason, field, value, page, position })
+      }
+
+      this.#json(res, 500, { error: e.message })
+    }
+  }
+
+  /**
+   * Parses an address from a URL, in decimal or as ``0x`` hexadecimal.
+   *
+   * @param {string} string
+   * @returns {int}
+   */
+  static _parseAddress(string) {
+    let address = /^(\d+|0x[0-9a-f]+)$/i.test(string) ? Number(string) : NaN
+    if (!(address >= 0 && address <= 0xFF)) throw new HTTPError(404, `Invalid address ${string}`)
+
+    return address
+  }
+
+  #display(address) {
+    if (!this.#displays.has(address)) {
+      this.#displays.set(address, {
+        address,
+        pid: this.#bus.pid(address, this.#pidOptions),
+        message: null,
+        status: null,
+        lastSent: null,
+        lastSeen: null
+      })
+    }
+
+    return this.#displays.get(address)
+  }
+
+  #state(address) {
+    let { message, status, lastSent, lastSeen } = this.#displays.get(address) ?? {}
+    return {
+      address,
+      message: message?.toString() ?? null,
+      pages: message?.toJSON().pages ?? null,
+      status: status ?? null,
+      lastSent: lastSent?.toISOString() ?? null,
+      lastSeen: lastSeen?.toISOString() ?? null
+    }
+  }
+
+  async #putMessage(req, res, address) {
+    let body = await PIDHTTPServer.#readBody(req)
+    let display = this.#display(address)
+    let characterSet = display.pid.getCharacterSet()
+    let message
+    if (/^application\/json\b/.test(req.headers['content-type'] ?? '')) {
+      let json
+      try {
+        json = JSON.parse(body)
+      } catch (e) {
+        throw new HTTPError(400, e.message)
+      }
+
+      message = PIDServer._fromJSON(json, address, characterSet)
+    } else message = DisplayMessage.fromStr(body, address, characterSet)
+
+    display.message = message
+    await this.#transmit(res, display, () => display.pid.send(message))
+  }
+
+  async #ping(res, address) {
+    let display = this.#display(address)
+    await this.#transmit(res, display, () => display.pid.ping())
+  }
+
+  async #transmit(res, display, send) {
+    display.lastSent = new Date()
+    try {
+      let response = await send()
+      display.status = response instanceof ResponseMessage ? 'acknowledged' : 'sent'
+    } catch (e) {
+      display.status = e instanceof AckTimeoutError ? 'unacknowledged' : 'failed'
+      if (!(e instanceof AckTimeoutError)) throw e
+    }
+
+    this.#json(res, display.status === 'unacknowledged' ? 504 : 200, this.#state(display.address))
+  }
+
+  #preview(res, address, searchParams) {
+    let message = this.#displays.get(address)?.message
+    if (!message) throw new HTTPError(404, `No message has been sent to address ${address}`)
+
+    let pages = message.getPages()
+    let page = Number(searchParams.get('page') ?? 0)
+    let scale = Number(searchParams.get('scale') ?? 1)
+    if (!Number.isInteger(page) || page < 0 || page >= pages.length) throw new HTTPError(400, `Invalid page ${searchParams.get('page')}`)
+    if (!Number.isInteger(scale) || scale < 1 || scale > 16) throw new HTTPError(400, `Invalid scale ${searchParams.get('scale')}`)
+
+    let png = VirtualDisplay.renderPage(pages[page]).toPNG(scale)
+    res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': png.length })
+    res.end(png)
+  }
+
+  #json(res, status, body) {
+    let json = JSON.stringify(body)
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(json) })
+    res.end(json)
+  }
+
+  static async #readBody(req) {
+    let chunks = []
+    let length = 0
+    for await (let chunk of req) {
+      length += chunk.length
+      if (length > MAX_BODY_LENGTH) throw new HTTPError(413, 'Request body too large')
+      chunks.push(chunk)
+    }
+
+    return Buffer.concat(chunks).toString('utf8')
+  }
+
+  /**
+   * Stop accepting HTTP requests.
+   */
+  async close() {
+    if (!this.#server) return
+
+    this.#server.closeAllConnections()
+    await new Promise(r => this.#server.close(r))
+    this.#server = null
+  }
+
+}
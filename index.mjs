@@ -1,8 +1,16 @@
 import { SerialPort } from 'serialport'
-import { crc, verify } from './crc.mjs'
-import { decode, encode } from './dlestxetx.mjs'
+import { CRCError, crc, verify } from './crc.mjs'
+import { PacketParser, decode, encode } from './dlestxetx.mjs'
+import { SupervisedPort } from './supervised-port.mjs'
+import { PIDStats, classifyInvalidPacket } from './stats.mjs'
 import EventEmitter from 'events'
 
+// Raised by `inspect` and emitted by `PID` and `PIDBus`, so they can be checked for without importing crc.mjs
+export { CRCError, check } from './crc.mjs'
+
+/** Passed to the `Page` constructor by `Page.fromBytes` to skip validating text decoded from the display. */
+const DECODED = Symbol('decoded')
+
 /**
  * The `PageAnimate` class holds constants
     for types of entry animations available to `Pages <Page>`.
@@ -52,58 +60,391 @@ export class PageAnimate {
   toString() {
     return this.#animate
   }
+
+  /**
+   * The JSON representation of this object: the name of its constant, such as ``"VSCROLL"``.
+   *
+   * @returns {string}
+   */
+  toJSON() {
+    return Object.keys(PageAnimate._NAMES).find(name => PageAnimate._NAMES[name] === this.#animate) ?? this.#animate
+  }
+
+  /**
+   * Gets the `PageAnimate` constant named by a JSON representation.
+   *
+   * @param {string} name the name of the constant, such as ``"VSCROLL"``
+   * @returns {PageAnimate}
+   * @throws {PIDValidationError} if there is no such constant
+   */
+  static fromJSON(name) {
+    if (!Object.hasOwn(this._NAMES, name)) {
+      throw new PIDValidationError(`Invalid animate name ${name}`, { field: 'animate', value: name })
+    }
+
+    return this[name]
+  }
+
+  static _NAMES = {
+    NONE: this.NONE.toString(),
+    VSCROLL: this.VSCROLL.toString(),
+    HSCROLL: this.HSCROLL.toString()
+  }
 }
 
-export class Page {
+/**
+  A `PIDValidationError` is raised when a `Page` or `DisplayMessage`
+  is given values the display cannot show.
 
-  #animate
-  #delay
-  #text
+  Besides the message, it carries enough detail to point at the problem:
+  which attribute is wrong (``animate``, ``delay`` or ``text``, or ``pages`` or ``address`` for a `DisplayMessage`),
+  the offending value,
+  and where known, the index of the page and the position of the character in the page text.
+ */
+export class PIDValidationError extends RangeError {
 
-  /** A mapping from permissible ASCII/Unicode characters
-  to the equivalent display-level byte. */
-  static _TEXT_ENCODING = {
-    ...(" !#$&'()*+,-./0123456789:;<=>?ABCDEFGHIJKLMNOPQRSTUVWXYZ\\abcdefghijklmnopqrstuvwxyz".split('').reduce((acc, e) => {
-      acc[e] = e.charCodeAt(0)
-      return acc
-    }, {})),
-    '\u00B7': 0x8F,  // MIDDLE DOT
-    '\u2022': 0xD3,  // BULLET
-    '\u2500': 0x97,  // BOX DRAWINGS LIGHT HORIZONTAL
-    '\u2501': 0xD2,  // BOX DRAWINGS HEAVY HORIZONTAL
-    '\u2588': 0x5F,  // FULL BLOCK
-    '\u2594': 0xA3,  // UPPER ONE EIGHTH BLOCK
+  /**
+   * Constructs a new PIDValidationError.
+   * 
+   * @param {string} reason a description of the problem
+   * @param {Object} details
+   * @param {string} details.field the attribute with the problem: ``animate``, ``delay``, ``text``, ``pages`` or ``address``
+   * @param {*} details.value the offending value
+   * @param {int} [details.page] the index of the page within its `DisplayMessage`
+   * @param {int} [details.position] the position of the offending character within the page text
+   */
+  constructor(reason, { field, value, page, position }) {
+    let location = [
+      typeof page === 'undefined' ? null : `page ${page}`,
+      typeof position === 'undefined' ? null : `position ${position}`
+    ].filter(Boolean).join(', ')
+
+    super(location ? `${reason} (${location})` : reason)
+    this.name = 'PIDValidationError'
+    this.reason = reason
+    this.field = field
+    this.value = value
+    this.page = page
+    this.position = position
   }
 
   /**
-   * A mapping from display-level bytes
-    to the equivalent ASCII/Unicode character.
-    
-    In some cases, multiple display-level bytes map to a common ASCII/Unicode character:
+   * Gets a copy of this error attributed to a page of a `DisplayMessage`.
+   * 
+   * @param {int} page the index of the page
+   * @returns {PIDValidationError}
+   */
+  withPage(page) {
+    let { field, value, position } = this
+    return new PIDValidationError(this.reason, { field, value, page, position })
+  }
+
+}
+
+/**
+  A `CharacterSet` object describes the characters a display can show:
+  the display-level byte for each character, the character for each byte,
+  and the width of each character in pixels.
+
+  The displays' firmware has more glyphs in its code page than the standard set,
+  so further characters can be registered with `CharacterSet.register`.
+
+  Characters that can't be shown can optionally be transliterated into ones that can,
+  such as ``é`` into ``e``, instead of being rejected.
+  A `Page` uses the character set it was constructed with, or `Page.characterSet` by default.
+ */
+export class CharacterSet {
+
+  #encoding = {}
+  #decoding = {}
+  #widths = {}
+  #transliterations
+
+  /** Characters with special meaning in the string representations of `Page` and `DisplayMessage`. */
+  static _RESERVED_CHARS = '_~^|'
+
+  /** Bytes with special meaning in the byte representations of `Page` and `DisplayMessage`. */
+  static _RESERVED_BYTES = [ 0x01, 0x0A, 0x0D, 0xFF ]
+
+  /** The ASCII characters every display can show, each as its own byte. */
+  static _STANDARD_CHARS = " !#$&'()*+,-./0123456789:;<=>?ABCDEFGHIJKLMNOPQRSTUVWXYZ\\abcdefghijklmnopqrstuvwxyz"
+
+  static _STANDARD_GLYPHS = [
+    [ 0x8F, '\u00B7', 2 ],  // MIDDLE DOT
+    [ 0xD3, '\u2022', 3 ],  // BULLET
+    [ 0x97, '\u2500', 6 ],  // BOX DRAWINGS LIGHT HORIZONTAL
+    [ 0xD2, '\u2501', 6 ],  // BOX DRAWINGS HEAVY HORIZONTAL
+    [ 0x5F, '\u2588', 6 ],  // FULL BLOCK
+    [ 0xA3, '\u2594', 6 ],  // UPPER ONE EIGHTH BLOCK
+  ]
+
+  /**
+    Bytes that decode to the same character as another byte.
     
     *   Bytes ``"`` and ``'`` map to character ``'``
         (which means ``"`` can't be permitted as an input character).
     *   Bytes ``\xA3``, ``\xA4``, and ``\xA5`` map to character ``▔``.
-    
-    Although not problematic,
-    this makes perfect round-tripping between characters and display bytes impossible,
-    so it should never be assumed to be possible.
    */
-  static _TEXT_DECODING = {
-    ...(Object.keys(this._TEXT_ENCODING).reduce((acc, e) => {
-      acc[this._TEXT_ENCODING[e]] = e
-      return acc
-    }, {})),
+  static _STANDARD_ALIASES = {
+    0x22: '\'',
     0x98: '\u2500',
     0xA4: '\u2594',
     0xA5: '\u2594',
   }
 
+  /**
+   * The widths in pixels of the standard ASCII characters.
+   * The widths of ``#``, ``$`` and ``+`` are not known,
+   * so text holding them can't be measured or right-justified.
+   */
+  static _CHARS_BY_WIDTH = {
+    2: '\'',
+    3: '.!,()',
+    4: 'I1: il<>;',
+    5: '0-jk?-=',
+    6: 'ABCDEFGHJKLMNOPQRSTUVWXYZ23456789abcdefghmnopqrstuvwxyz/\\*&'
+  }
+
+  /** Replacements for common characters the standard set can't show, for use with `CharacterSet.standard`. */
+  static TRANSLITERATIONS = {
+    '"': '\'\'',
+    '`': '\'',
+    '‘': '\'',
+    '’': '\'',
+    '“': '\'\'',
+    '”': '\'\'',
+    '@': 'at',
+    '%': ' percent',
+    '[': '(',
+    ']': ')',
+    '{': '(',
+    '}': ')',
+    '–': '-',
+    '—': '-',
+    '…': '...',
+    '×': 'x',
+    '\u00A0': ' ',
+    '\t': ' ',
+    'ß': 'ss',
+    'Æ': 'AE',
+    'æ': 'ae',
+    'Œ': 'OE',
+    'œ': 'oe',
+    'Ø': 'O',
+    'ø': 'o',
+  }
+
+  /**
+   * Constructs a new, empty CharacterSet.
+   *
+   * @param {Object} [options]
+   * @param {Object<string, string>} [options.transliterations] replacements for characters that can't be shown.
+   *        Characters with diacritics not listed are shown without them, if possible. Without this option, no characters are transliterated.
+   */
+  constructor({ transliterations } = {}) {
+    this.#transliterations = transliterations
+  }
+
+  /**
+   * Constructs a CharacterSet with the characters known to be shown by every display.
+   * Takes the same options as the constructor.
+   *
+   * @returns {CharacterSet}
+   */
+  static standard(options) {
+    let characterSet = new CharacterSet(options)
+
+    let widths = {}
+    for (let [ width, chars ] of Object.entries(this._CHARS_BY_WIDTH)) {
+      for (let char of chars) widths[char] = Number(width)
+    }
+
+    for (let char of this._STANDARD_CHARS) characterSet.register(char.charCodeAt(0), char, widths[char])
+    for (let [ byte, char, width ] of this._STANDARD_GLYPHS) characterSet.register(byte, char, width)
+    for (let [ byte, char ] of Object.entries(this._STANDARD_ALIASES)) characterSet.register(Number(byte), char, undefined, { decodeOnly: true })
+
+    return characterSet
+  }
+
+  /**
+    Add a glyph in the display's code page to this character set,
+    replacing any existing mapping for the byte or character.
+    A character that was encoded as the byte can no longer be encoded.
+
+   * @param {int} byte the display-level byte
+   * @param {string} char the character the glyph represents
+   * @param {int} [width] the width of the glyph in pixels, including the gap before the next character, if known.
+   *        Text holding characters of unknown width can't be measured or right-justified.
+   * @param {Object} [options]
+   * @param {boolean} [options.decodeOnly=false] only decode the byte to the character, as when another byte already represents it.
+   * @returns {CharacterSet} this character set, for chaining
+   * @throws {RangeError} if the byte, character or width can't be used
+   */
+  register(byte, char, width, { decodeOnly = false } = {}) {
+    if (!Number.isInteger(byte) || byte < 0x00 || byte > 0xFF || CharacterSet._RESERVED_BYTES.includes(byte)) {
+      throw new RangeError(`Byte ${byte} cannot be used for a character`)
+    }
+    if (typeof char !== 'string' || char.length !== 1 || CharacterSet._RESERVED_CHARS.includes(char)) {
+      throw new RangeError(`${char} cannot be used as a character`)
+    }
+
+    if (!decodeOnly && typeof width !== 'undefined' && (!Number.isInteger(width) || width < 1)) throw new RangeError(`Invalid width ${width} for character ${char}`)
+
+    for (let [ encoded, encodedByte ] of Object.entries(this.#encoding)) {
+      if (encodedByte === byte && encoded !== char) delete this.#encoding[encoded]
+    }
+
+    this.#decoding[byte] = char
+    if (decodeOnly) return this
+
+    this.#encoding[char] = byte
+    if (typeof width === 'undefined') delete this.#widths[byte]
+    else this.#widths[byte] = width
+
+    return this
+  }
+
+  /**
+   * @param {string} char
+   * @returns {boolean} whether the character can be shown
+   */
+  canEncode(char) {
+    return Object.hasOwn(this.#encoding, char)
+  }
+
+  /**
+   * @param {string} char
+   * @returns {boolean} whether the character can be shown and its width is known
+   */
+  canMeasure(char) {
+    return this.canEncode(char) && Object.hasOwn(this.#widths, this.#encoding[char])
+  }
+
+  /**
+   * Replaces the characters that can't be shown with the ones they are transliterated into.
+   * Characters that can't be transliterated, and those used in string representations such as ``_`` and ``~``, are left alone.
+   *
+   * @param {string} text
+   * @returns {string}
+   */
+  transliterate(text) {
+    if (!this.#transliterations) return text
+
+    let result = ''
+    for (let char of text) {
+      if (this.canEncode(char) || CharacterSet._RESERVED_CHARS.includes(char)) {
+        result += char
+        continue
+      }
+
+      let replacement = this.#transliterations[char] ?? char.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+      result += replacement && [ ...replacement ].every(replaced => this.canEncode(replaced)) ? replacement : char
+    }
+
+    return result
+  }
+
+  /**
+   * Converts a string of characters into display-level bytes, transliterating it first if enabled.
+   *
+   * @param {string} text the characters, which cannot include ``_`` or ``~``
+   * @returns {int[]}
+   * @throws {PIDValidationError} if the text contains characters that can't be shown
+   */
+  encode(text) {
+    text = this.transliterate(text)
+
+    let bytesOut = Array(text.length)
+    let badChars = new Set()
+
+    for (let i = 0; i < text.length; i++) {
+      let char = text[i]
+      if (this.canEncode(char)) {
+        bytesOut[i] = this.#encoding[char]
+      } else {
+        badChars.add(char)
+      }
+    }
+
+    if (badChars.size > 0) {
+      let [ value ] = badChars
+      throw new PIDValidationError(`${[ ...badChars ].join(', ')} not in allowed characters`, { field: 'text', value, position: text.indexOf(value) })
+    }
+
+    return bytesOut
+  }
+
+  /**
+   * Converts display-level bytes into a string of characters, using U+FFFD for unknown bytes.
+   *
+   * @param {Iterable<int>} bytes
+   * @returns {string}
+   */
+  decode(bytes) {
+    let text = ''
+    for (let byte of bytes) text += this.#decoding[byte] ?? '\uFFFD'
+
+    return text
+  }
+
+  /**
+   * The width of a string of characters in pixels.
+   *
+   * @param {string} text the characters, which cannot include ``_`` or ``~``
+   * @param {int} [unknownWidth] the width to assume for characters whose width is unknown, rather than throwing
+   * @returns {int}
+   * @throws {RangeError} if the width of a character is unknown
+   */
+  width(text, unknownWidth) {
+    let width = 0
+    for (let char of this.transliterate(text)) {
+      let charWidth = this.#widths[this.#encoding[char]] ?? unknownWidth
+      if (typeof charWidth === 'undefined') throw new RangeError(`Unknown width for character ${char}`)
+      width += charWidth
+    }
+
+    return width
+  }
+
+  /**
+   * @param {int} byte a display-level byte
+   * @returns {int|undefined} the width of the glyph in pixels, if known
+   */
+  byteWidth(byte) {
+    return this.#widths[byte]
+  }
+
+  /** @returns {Object<string, int>} a mapping from each character that can be shown to its byte */
+  getEncoding() { return { ...this.#encoding } }
+
+  /** @returns {Object<int, string>} a mapping from each known byte to its character */
+  getDecoding() { return { ...this.#decoding } }
+
+  /** @returns {Object<string, int>} a mapping from each character that can be shown to its width in pixels, where known */
+  getWidths() {
+    return Object.fromEntries(Object.entries(this.#encoding)
+      .filter(([ , byte ]) => Object.hasOwn(this.#widths, byte))
+      .map(([ char, byte ]) => [ char, this.#widths[byte] ]))
+  }
+
+}
+
+export class Page {
+
+  #animate
+  #delay
+  #text
+  #characterSet
+
   static _ATTRS_SEP = '^'
   static _RIGHT_CHAR_DECODED = '~'
   static _RIGHT_CHAR_ENCODED = '\\R'
   static _NEWLINE_CHAR = '_'
   static _NEWLINE_BYTESEQ = 0x0A
+  /** One pixel of blank space, used to right-justify text. */
+  static _PADDING_BYTE = 0xFF
+  /** The byte of the spaces used along with `Page._PADDING_BYTE` to right-justify text. */
+  static _PADDING_SPACE_BYTE = ' '.charCodeAt(0)
   static _STR_RE = /^(?:(?<animate>[A-Za-z]?)(?<delay>\d*)\^)?(?<text>.*)$/s
 
   static _ANIMATE_ENCODING = {
@@ -119,31 +460,34 @@ export class Page {
     }, {}))
   }
 
-  static _CHARS_BY_WIDTH = {
-    2: '\'',
-    3: '.!,()',
-    4: 'I1: il<>;',
-    5: '0-jk?-=',
-    6: 'ABCDEFGHJKLMNOPQRSTUVWXYZ23456789abcdefghmnopqrstuvwxyz/\\*&'
-  }
+  /**
+   * The characters pages can show, unless another `CharacterSet` is given to the page.
+   * Replace it to change the default, such as to one with transliteration or with glyphs registered for a particular display.
+   */
+  static characterSet = CharacterSet.standard()
 
-  static _WIDTHS_BY_CHAR = {
-    0x8F: 2,  // · 'MIDDLE DOT'
-    0xD3: 3,  // • 'BULLET'
-    0x97: 6,  // ─ 'BOX DRAWINGS LIGHT HORIZONTAL'
-    0xD2: 6,  // ━ 'BOX DRAWINGS HEAVY HORIZONTAL'
-    0x5F: 6,  // █ 'FULL BLOCK'
-    0xA3: 6,  // ▔ 'UPPER ONE EIGHTH BLOCK'
-    ...(Object.keys(this._CHARS_BY_WIDTH).reduce((acc, widthKey) => {
-      let chars = this._CHARS_BY_WIDTH[widthKey]
-      let width = parseInt(widthKey)
-      for (let char of chars) acc[char] = width
+  /** A mapping from permissible ASCII/Unicode characters
+  to the equivalent display-level byte, from `Page.characterSet`. */
+  static get _TEXT_ENCODING() { return this.characterSet.getEncoding() }
 
-      return acc
-    }, {}))
-  }
+  /**
+   * A mapping from display-level bytes
+    to the equivalent ASCII/Unicode character, from `Page.characterSet`.
+    
+    In some cases, multiple display-level bytes map to a common ASCII/Unicode character,
+    as described by `CharacterSet._STANDARD_ALIASES`.
+    This makes perfect round-tripping between characters and display bytes impossible,
+    so it should never be assumed to be possible.
+   */
+  static get _TEXT_DECODING() { return this.characterSet.getDecoding() }
+
+  /** A mapping from permissible characters to their width in pixels, from `Page.characterSet`. */
+  static get _WIDTHS_BY_CHAR() { return this.characterSet.getWidths() }
 
   static _DISPLAY_WIDTH = 120
+  static _DISPLAY_LINES = 2
+  /** The smallest gap in pixels left between the two sides of a right-justified line. */
+  static _RIGHT_GAP = 2
 
   /**
    A :`Page` object represents one "screen" of information in a `DisplayMessage`.
@@ -199,21 +543,91 @@ export class Page {
         are utilised by the various `Page` & `DisplayMessage` string methods
         to enable compact, easily-typed, pure-string representations containing all attributes.
 
-    :raise ValueError:
+        If the character set transliterates, unusable characters are replaced by usable ones where possible.
+
+    @param {CharacterSet} [characterSet] the characters the page can show. Defaults to `Page.characterSet`.
+
+    @throws {PIDValidationError}
         if the text contains unusable characters,
         or if a valid `PageAnimate` value is not given,
         or if the delay is outside the permissible range.
-    """
    */
-  constructor(animate, delay, text) {
+  constructor(animate, delay, text, characterSet = this.constructor.characterSet, decoded) {
+    // Text decoded from the display is kept as is, even where it holds bytes the character set doesn't know
+    if (decoded !== DECODED) {
+      if (typeof text === 'string') text = characterSet.transliterate(text)
+
+      let problems = this.constructor.validate(animate, delay, text, characterSet)
+      if (problems.length) throw problems[0]
+    }
+
     this.#animate = animate
     this.#delay = delay
     this.#text = text
+    this.#characterSet = characterSet
+  }
+
+  /**
+    Check whether the given values would make a valid `Page`, without throwing.
+
+    Every problem is reported, rather than just the first,
+    so that they can all be shown to the user at once.
+
+    @param {PageAnimate} animate the type of animation to take place on page entry.
+    @param {int} delay the delay after the animation completes.
+    @param {string} text the text to display on the page.
+    @param {CharacterSet} [characterSet] the characters the page can show. Defaults to `Page.characterSet`.
+    @returns {PIDValidationError[]} the problems found, if any.
+   */
+  static validate(animate, delay, text, characterSet = this.characterSet) {
+    let problems = []
+
+    if (!(animate instanceof PageAnimate && animate.toString() in this._ANIMATE_ENCODING)) {
+      problems.push(new PIDValidationError(`Invalid animate value ${animate}`, { field: 'animate', value: animate }))
+    }
+
+    if (!Number.isInteger(delay) || delay < 0 || delay > 64) {
+      problems.push(new PIDValidationError(`Delay ${delay} is not an integer between 0 and 64`, { field: 'delay', value: delay }))
+    }
+
+    if (typeof text !== 'string') {
+      problems.push(new PIDValidationError(`Text ${text} is not a string`, { field: 'text', value: text }))
+      return problems
+    }
+
+    text = characterSet.transliterate(text)
+    for (let position = 0; position < text.length; position++) {
+      let char = text[position]
+      if (characterSet.canEncode(char) || char === this._RIGHT_CHAR_DECODED || char === this._NEWLINE_CHAR) continue
+      problems.push(new PIDValidationError(`${char} not in allowed characters`, { field: 'text', value: char, position }))
+    }
+
+    // Right-justified lines are measured, so every character on them needs a known width
+    let lineStart = 0
+    for (let line of text.split(this._NEWLINE_CHAR)) {
+      let second = line.indexOf(this._RIGHT_CHAR_DECODED, line.indexOf(this._RIGHT_CHAR_DECODED) + 1)
+      if (second !== -1) {
+        problems.push(new PIDValidationError(`Only one ${this._RIGHT_CHAR_DECODED} can be used on a line`, { field: 'text', value: this._RIGHT_CHAR_DECODED, position: lineStart + second }))
+      }
+
+      if (line.includes(this._RIGHT_CHAR_DECODED)) {
+        for (let i = 0; i < line.length; i++) {
+          let char = line[i]
+          if (char === this._RIGHT_CHAR_DECODED || !characterSet.canEncode(char) || characterSet.canMeasure(char)) continue
+          problems.push(new PIDValidationError(`${char} cannot be right-justified, as its width is unknown`, { field: 'text', value: char, position: lineStart + i }))
+        }
+      }
+
+      lineStart += line.length + 1
+    }
+
+    return problems
   }
 
   getAnimate() { return this.#animate }
   getDelay() { return this.#delay }
   getText() { return this.#text }
+  getCharacterSet() { return this.#characterSet }
 
   /**
   Construct a `Page` object from a string representation.
@@ -242,11 +656,24 @@ export class Page {
 
   @param {number} [default_delay=5] the ``delay`` value to use if one is not provided in the string. Defaults to ``5``.
 
-  :raise ValueError:
+  @param {CharacterSet} [characterSet] the characters the page can show. Defaults to `Page.characterSet`.
+
+  @throws {PIDValidationError}
       if the text contains unusable characters,
       or if a valid `PageAnimate` value is not given,
       or if the delay is outside the permissible range. */
-  static fromStr(string, default_animate = PageAnimate.NONE, default_delay = 5) {
+  static fromStr(string, default_animate = PageAnimate.NONE, default_delay = 5, characterSet = this.characterSet) {
+    let { animate, delay, text } = this._parseStr(string, default_animate, default_delay)
+    return new Page(animate, delay, text, characterSet)
+  }
+
+  /**
+   * Splits a string representation into the values for a `Page`, without validating them.
+   * Takes the same parameters as `Page.fromStr`.
+   * 
+   * @returns {{ animate: PageAnimate, delay: int, text: string }}
+   */
+  static _parseStr(string, default_animate = PageAnimate.NONE, default_delay = 5) {
     let match = string.match(this._STR_RE)
     let animate = default_animate
     let delay = default_delay
@@ -254,8 +681,7 @@ export class Page {
     if (match.groups.animate) animate = new PageAnimate(match.groups.animate)
     if (match.groups.delay) delay = parseInt(match.groups.delay)
 
-    return new Page(animate, delay, match.groups.text)
-
+    return { animate, delay, text: match.groups.text }
   }
 
   /**
@@ -267,6 +693,65 @@ export class Page {
     return this.#animate.toString() + this.#delay + this.constructor._ATTRS_SEP + this.#text
   }
 
+  /**
+    The JSON representation of this object,
+    which spells out what the string representation packs into its text:
+
+    > new Page(PageAnimate.VSCROLL, 10, '_12:34 FUNKYTOWN~5').toJSON()
+    { animate: 'VSCROLL', delay: 10, lines: [ '', { left: '12:34 FUNKYTOWN', right: '5' } ] }
+
+    Each line is a string, or an object with the ``left`` and ``right`` sides of a right-justified line.
+    Blank lines at the start offset the text downwards.
+    The format is described by the JSON Schema in message.schema.json.
+
+    @returns {{ animate: string, delay: int, lines: (string|{ left: string, right: string })[] }}
+   */
+  toJSON() {
+    return {
+      animate: this.#animate.toJSON(),
+      delay: this.#delay,
+      lines: this.#text.split(this.constructor._NEWLINE_CHAR).map(line => {
+        if (!line.includes(this.constructor._RIGHT_CHAR_DECODED)) return line
+
+        let [ left, right ] = line.split(this.constructor._RIGHT_CHAR_DECODED)
+        return { left, right }
+      })
+    }
+  }
+
+  /**
+    Construct a `Page` object from its JSON representation, as produced by `Page.toJSON`.
+
+    @param {Object} json the JSON representation, already parsed
+    @param {PageAnimate} [default_animate=PageAnimate.NONE] the ``animate`` value to use if none is given.
+    @param {number} [default_delay=5] the ``delay`` value to use if none is given.
+    @param {CharacterSet} [characterSet] the characters the page can show. Defaults to `Page.characterSet`.
+
+    @throws {PIDValidationError}
+        if the lines contain unusable characters, including ``_`` and ``~``,
+        or if a valid `PageAnimate` name is not given,
+        or if the delay is outside the permissible range.
+   */
+  static fromJSON(json, default_animate = PageAnimate.NONE, default_delay = 5, characterSet = this.characterSet) {
+    let { animate, delay = default_delay, lines } = json ?? {}
+    if (!Array.isArray(lines)) throw new PIDValidationError('Lines must be an array', { field: 'text', value: lines })
+
+    let sides = lines.map(line => typeof line === 'string' ? [ line ] : [ line?.left, line?.right ])
+    for (let side of sides.flat()) {
+      if (typeof side !== 'string') throw new PIDValidationError(`Line ${side} is not a string`, { field: 'text', value: side })
+
+      let reserved = [ ...side ].find(char => char === this._NEWLINE_CHAR || char === this._RIGHT_CHAR_DECODED)
+      if (reserved) throw new PIDValidationError(`${reserved} cannot be used in a line`, { field: 'text', value: reserved })
+    }
+
+    return new Page(
+      typeof animate === 'undefined' ? default_animate : PageAnimate.fromJSON(animate),
+      delay,
+      sides.map(line => line.join(this._RIGHT_CHAR_DECODED)).join(this._NEWLINE_CHAR),
+      characterSet
+    )
+  }
+
   /**
     The raw byte representation of the `Page` as understood by the display.
 
@@ -279,26 +764,26 @@ export class Page {
     let delayByte = this.#delay * 4
     let textBytes = this.#text.slice(offsetByte).split(this.constructor._NEWLINE_CHAR)
       .map(line => {
-        if (!line.includes(this.constructor._RIGHT_CHAR_DECODED)) return this.constructor.encodeText(line)
+        if (!line.includes(this.constructor._RIGHT_CHAR_DECODED)) return this.constructor.encodeText(line, this.#characterSet)
         let [ left, right ] = line.split(this.constructor._RIGHT_CHAR_DECODED)
 
-        let leftWidth = this.#pixelWidth(left)
-        let rightWidth = this.#pixelWidth(right)
-        let paddingWidth = this.constructor._DISPLAY_WIDTH - 2 - leftWidth - rightWidth
+        let leftWidth = this.constructor._pixelWidth(left, this.#characterSet)
+        let rightWidth = this.constructor._pixelWidth(right, this.#characterSet)
+        let paddingWidth = this.constructor._DISPLAY_WIDTH - this.constructor._RIGHT_GAP - leftWidth - rightWidth
         let padding = ''
-        let spaceWidth = this.constructor._WIDTHS_BY_CHAR[' ']
+        let spaceWidth = this.constructor._pixelWidth(' ', this.#characterSet)
 
         while (paddingWidth >= spaceWidth) {
           padding += ' '
           paddingWidth -= spaceWidth
         }
 
-        while (paddingWidth-- > 0) padding += '\xff'
+        while (paddingWidth-- > 0) padding += String.fromCharCode(this.constructor._PADDING_BYTE)
 
         return Buffer.from([
-          ...this.constructor.encodeText(left),
+          ...this.constructor.encodeText(left, this.#characterSet),
           ...Buffer.from(padding, 'binary'),
-          ...this.constructor.encodeText(right)
+          ...this.constructor.encodeText(right, this.#characterSet)
         ])
       })
       .reduce((acc, e) => [...acc, this.constructor._NEWLINE_BYTESEQ, ...e], []).slice(1)
@@ -312,23 +797,97 @@ export class Page {
     ])
   }
 
-  #pixelWidth(string) {
-    let width = 0
-    for (let char of string) {
-      if (!(char in this.constructor._WIDTHS_BY_CHAR)) throw new RangeError(`Unknown width for character ${char}`)
-      width += this.constructor._WIDTHS_BY_CHAR[char]
+  /**
+    Work out how the text of this `Page` will be laid out on the display,
+    as described by `Page.measure`.
+
+    Text that overflows the width of the display is not counted as clipped
+    for `PageAnimate.HSCROLL` pages, as it scrolls into view.
+
+   * @returns {Object} the layout of the text
+   */
+  layout() {
+    return this.constructor.measure(this.#text, this.#animate, this.#characterSet)
+  }
+
+  /**
+    Work out how some page text will be laid out on the display,
+    so that text which would be clipped can be found before it is sent.
+
+    The text is split into lines in the same way as `Page.toBytes`.
+    The width of a right-justified line includes the gap
+    that must be left between its two sides.
+
+   * @param {string} text the text of a page, as given to the `Page` constructor.
+   * @param {PageAnimate} [animate=PageAnimate.NONE] the animation of the page, which determines whether overflowing lines scroll into view or are clipped.
+   * @param {CharacterSet} [characterSet] the characters the page can show. Defaults to `Page.characterSet`.
+   * @returns {{ offset: int, lines: { text: string, width: int, overflows: boolean, visible: boolean }[], linesFit: int, clipped: boolean }}
+      the number of blank lines the text is offset by, the width in pixels of each line,
+      whether each line is wider than the display or below the bottom of the display,
+      how many lines fit on the display, and whether any text would be clipped.
+   * @throws {RangeError} if the width of a character is unknown.
+   */
+  static measure(text, animate = PageAnimate.NONE, characterSet = this.characterSet) {
+    let offset = text.match(/^(_+)/)?.[0].length || 0
+    let lines = text.slice(offset).split(this._NEWLINE_CHAR).map((line, i) => {
+      let width
+      if (line.includes(this._RIGHT_CHAR_DECODED)) {
+        let [ left, right ] = line.split(this._RIGHT_CHAR_DECODED)
+        width = this._pixelWidth(left, characterSet) + this._RIGHT_GAP + this._pixelWidth(right, characterSet)
+      } else {
+        width = this._pixelWidth(line, characterSet)
+      }
+
+      return {
+        text: line,
+        width,
+        overflows: width > this._DISPLAY_WIDTH,
+        visible: offset + i < this._DISPLAY_LINES
+      }
+    })
+
+    let linesFit = lines.filter(line => line.visible).length
+    let scrolls = animate.toString() === PageAnimate.HSCROLL.toString()
+
+    return {
+      offset,
+      lines,
+      linesFit,
+      clipped: linesFit < lines.length || (!scrolls && lines.some(line => line.overflows))
     }
-    return width
   }
 
-  static fromBytes(bytes) {
+  /**
+   * The width of a string of characters in pixels.
+   * 
+   * @param {string} string the characters, which cannot include ``_`` or ``~``
+   * @param {CharacterSet} [characterSet] defaults to `Page.characterSet`
+   * @returns {int}
+   */
+  static _pixelWidth(string, characterSet = this.characterSet) {
+    return characterSet.width(string)
+  }
+
+  /**
+    Construct a `Page` object from its raw byte representation, as produced by `Page.toBytes`.
+
+    The text is not validated, as it was read from the display or the line:
+    bytes the character set doesn't know are decoded as U+FFFD,
+    and such a page can't be converted back into bytes.
+
+   * @param {Buffer} bytes
+   * @param {CharacterSet} [characterSet] the characters the page can show. Defaults to `Page.characterSet`.
+   * @returns {Page}
+   * @throws {RangeError} if the bytes are not a valid page
+   */
+  static fromBytes(bytes, characterSet = this.characterSet) {
     if (bytes.length < 4) throw new RangeError('Not enough bytes for a Page')
     if (!(bytes[0] in this._ANIMATE_DECODING)) throw new RangeError(`Unexpected animate byte value ${bytes[0].toString(16)} at index 0`)
-    let animate = this._ANIMATE_DECODING[bytes[0]]
+    let animate = new PageAnimate(this._ANIMATE_DECODING[bytes[0]])
     let offset = bytes[1]
     let delay = Math.round(bytes[2] / 4)
 
-    if (bytes[3] !== 0x00) throw new RangeError(`unexpected byte value ${bytes_in[3].toString(16)} at index 3`)
+    if (bytes[3] !== 0x00) throw new RangeError(`unexpected byte value ${bytes[3].toString(16)} at index 3`)
 
     let rawText = [ ...bytes.subarray(4) ]
     while (rawText[rawText.length - 1] === this._NEWLINE_BYTESEQ) rawText.pop() // Right trim the newline characters
@@ -344,41 +903,43 @@ export class Page {
     lines.push(line)
 
     let text = Array(offset).fill(this._NEWLINE_CHAR).join('') + lines
-      .map(line => this.decodeText(line).replace(/ +$/).replace(this._RIGHT_CHAR_ENCODED, this._RIGHT_CHAR_DECODED))
+      .map(line => this._decodeLine(line, characterSet).replace(/ +$/, '').replace(this._RIGHT_CHAR_ENCODED, this._RIGHT_CHAR_DECODED))
       .join(this._NEWLINE_CHAR)
 
-    return new Page(animate, delay, text)
+    return new Page(animate, delay, text, characterSet, DECODED)
   }
 
   /**
-   Convert a string of characters into a string of display-level bytes. Called from the `to_bytes` method.
-   * @param {string} text The string for display
+   * Decodes the bytes of a line of text,
+   * turning the spaces & padding bytes added by `toBytes` to right-justify text back into ``~``.
    */
-  static encodeText(text) {
-    let bytesOut = Array(text.length)
-    let badChars = new Set()
+  static _decodeLine(line, characterSet = this.characterSet) {
+    let paddingStart = line.indexOf(this._PADDING_BYTE)
+    if (paddingStart === -1) return this.decodeText(line, characterSet)
 
-    for (let i = 0; i < text.length; i++) {
-      let char = text[i]
-      if (char in this._TEXT_ENCODING) {
-        bytesOut[i] = this._TEXT_ENCODING[char]
-      } else {
-        badChars.add(char)
-      }
-    }
+    let paddingEnd = paddingStart
+    while (paddingStart > 0 && line[paddingStart - 1] === this._PADDING_SPACE_BYTE) paddingStart--
+    while (paddingEnd < line.length && line[paddingEnd] === this._PADDING_BYTE) paddingEnd++
 
-    if (badChars.length > 0) throw new RangeError(`${badChars.entries().join(', ')} not in allowed characters`)
-    return bytesOut
+    return this.decodeText(line.slice(0, paddingStart), characterSet) + this._RIGHT_CHAR_DECODED + this.decodeText(line.slice(paddingEnd), characterSet)
   }
 
-  static decodeText(bytes) {
-    let text = ''
-    for (let byte of bytes) {
-      if (byte in this._TEXT_DECODING) text += this._TEXT_DECODING[byte]
-      else text += '\uFFFD'
-    }
+  /**
+   Convert a string of characters into a string of display-level bytes. Called from the `to_bytes` method.
+   * @param {string} text The string for display
+   * @param {CharacterSet} [characterSet] defaults to `Page.characterSet`
+   */
+  static encodeText(text, characterSet = this.characterSet) {
+    return characterSet.encode(text)
+  }
 
-    return text
+  /**
+   * Convert display-level bytes into a string of characters.
+   * @param {Iterable<int>} bytes The bytes from the display
+   * @param {CharacterSet} [characterSet] defaults to `Page.characterSet`
+   */
+  static decodeText(bytes, characterSet = this.characterSet) {
+    return characterSet.decode(bytes)
   }
 
 }
@@ -408,6 +969,11 @@ export class Message {
    */
   toBytes() {}
 
+  /**
+    The address of the device this `Message` was sent to or read from.
+   */
+  getAddress() {}
+
 }
 
 /**
@@ -435,6 +1001,13 @@ export class PingMessage extends Message {
     this.#address = address
   }
 
+  getAddress() { return this.#address }
+
+  /**
+   * @returns {int} the byte whose meaning is unknown, as described for the constructor
+   */
+  getUnspecifiedByte() { return this.#unspecified_byte }
+
   static marker(address) {
     return [ address, 0x50 ]
   }
@@ -483,6 +1056,13 @@ export class ResponseMessage extends Message {
     this.#address = address
   }
 
+  getAddress() { return this.#address }
+
+  /**
+   * @returns {int} the byte whose meaning is unknown, as described for the constructor
+   */
+  getUnspecifiedByte() { return this.#unspecified_byte }
+
   static marker(address) {
     return [ address, 0x52 ]
   }
@@ -528,8 +1108,46 @@ export class DisplayMessage extends Message {
   static _PAGE_END = 0x0D
   static _PAGE_START = 0x01
 
-  constructor(pages, address) {
+  /** The abbreviations used by `DisplayMessage.fit` unless others are given. */
+  static _ABBREVIATIONS = {
+    'Street': 'St',
+    'Road': 'Rd',
+    'Avenue': 'Ave',
+    'Terrace': 'Tce',
+    'Parade': 'Pde',
+    'Station': 'Stn',
+    'Junction': 'Jct',
+    'Central': 'Ctrl',
+    'Heights': 'Hts',
+    'North': 'Nth',
+    'South': 'Sth',
+    'Express': 'Exp',
+  }
+
+  /**
+   * Constructs a new DisplayMessage.
+   *
+   * @param {Page[]} pages the pages to display, in order
+   * @param {int} [address] the device address this DisplayMessage is intended for, given as a byte
+   * @throws {PIDValidationError} if the pages are not a non-empty array of `Page` objects, or the address is not a byte
+   */
+  constructor(pages, address, decoded) {
     super()
+
+    // Messages decoded from the display are kept as is, even where they hold no pages
+    if (decoded !== DECODED) {
+      if (!Array.isArray(pages) || !pages.length) {
+        throw new PIDValidationError('Pages must be a non-empty array', { field: 'pages', value: pages })
+      }
+
+      let index = pages.findIndex(page => !(page instanceof Page))
+      if (index !== -1) throw new PIDValidationError(`${pages[index]} is not a Page`, { field: 'pages', value: pages[index], page: index })
+    }
+
+    if (typeof address !== 'undefined' && !(Number.isInteger(address) && address >= 0x00 && address <= 0xFF)) {
+      throw new PIDValidationError(`Address ${address} is not a byte`, { field: 'address', value: address })
+    }
+
     this.#pages = pages
     this.#address = address
   }
@@ -539,6 +1157,7 @@ export class DisplayMessage extends Message {
    * @returns {Page[]}
    */
   getPages() { return this.#pages.slice(0) }
+  getAddress() { return this.#address }
 
   static marker(address) {
     return [ address, 0x44, 0x00 ]
@@ -573,25 +1192,143 @@ export class DisplayMessage extends Message {
     - `Animate.HSCROLL` & ``delay=0`` for subsequent pages.
 
     @param {int} address The device address this DisplayMessage is intended for
+    @param {CharacterSet} [characterSet] the characters the pages can show. Defaults to `Page.characterSet`.
 
-    :raise ValueError:
+    @throws {PIDValidationError}
       if the text of any page contains unusable characters,
       or if a valid Animate value is not given,
       or if the delay is outside the permissible range.
    */
-  static fromStr(string, address) {
+  static fromStr(string, address, characterSet = Page.characterSet) {
+    let problems = this.validate(string, characterSet)
+    if (problems.length) throw problems[0]
+
     return new DisplayMessage(
-      string.split(this._PAGE_SEP)
-      .map((string, i) => Page.fromStr(
-        string,
-        i === 0 ? PageAnimate.VSCROLL : PageAnimate.HSCROLL,
-        i === 0 ? 10 : 0
-      )),
+      this._parseStr(string).map(({ animate, delay, text }) => new Page(animate, delay, text, characterSet)),
       address
     )
   }
 
-  static fromBytes(bytes, address) {
+  /**
+    Check whether a string representation, as accepted by `DisplayMessage.fromStr`,
+    would make a valid `DisplayMessage`, without throwing.
+
+    Every problem on every page is reported, rather than just the first,
+    so that they can all be shown to the user at once.
+
+    @param {string} string a string representation of a `DisplayMessage`
+    @param {CharacterSet} [characterSet] the characters the pages can show. Defaults to `Page.characterSet`.
+    @returns {PIDValidationError[]} the problems found, each carrying the index of its page.
+   */
+  static validate(string, characterSet = Page.characterSet) {
+    return this._parseStr(string).flatMap(({ animate, delay, text }, i) => {
+      return Page.validate(animate, delay, text, characterSet).map(problem => problem.withPage(i))
+    })
+  }
+
+  /**
+   * Splits a string representation into the values for each `Page`, without validating them.
+   * 
+   * @param {string} string a string representation of a `DisplayMessage`
+   * @returns {{ animate: PageAnimate, delay: int, text: string }[]}
+   */
+  static _parseStr(string) {
+    return string.split(this._PAGE_SEP).map((string, i) => Page._parseStr(
+      string,
+      i === 0 ? PageAnimate.VSCROLL : PageAnimate.HSCROLL,
+      i === 0 ? 10 : 0
+    ))
+  }
+
+  /**
+    Construct a `DisplayMessage` object that fits some text on the display,
+    rather than having it clipped.
+
+    The text is word-wrapped onto as many lines as needed.
+    Where a line would be too wide, words on it are abbreviated,
+    starting with the last word, until it fits;
+    if it still doesn't fit, the word that doesn't fit starts a new line instead.
+    Words too wide for a line on their own are split across lines.
+    Characters whose width is unknown are assumed to be as wide as the widest known character.
+
+    The first page shows the first lines of the text using `PageAnimate.VSCROLL`,
+    and any remaining lines are shown on further `PageAnimate.HSCROLL` pages.
+
+    > DisplayMessage.fit('Stops all stations except East Richmond').toString()
+    'V10^Stops all stations_except East Richmond'
+
+    @param {string} text the text to fit. Use ``_`` to force a new line. It cannot contain ``~``.
+    @param {Object} [options]
+    @param {Object<string, string>} [options.abbreviations] a mapping from words to their abbreviations, such as ``{ Street: 'St' }``. Defaults to `DisplayMessage._ABBREVIATIONS`.
+    @param {int} [options.delay=10] the ``delay`` of the first page.
+    @param {int} [options.address] the device address this DisplayMessage is intended for.
+    @param {CharacterSet} [options.characterSet] the characters the pages can show, and their widths. Defaults to `Page.characterSet`.
+    @throws {PIDValidationError} if the text contains unusable characters, including ``~``, or the delay is outside the permissible range.
+   */
+  static fit(text, { abbreviations = this._ABBREVIATIONS, delay = 10, address, characterSet = Page.characterSet } = {}) {
+    let problems = Page.validate(PageAnimate.VSCROLL, delay, text, characterSet)
+    let right = typeof text === 'string' ? text.indexOf(Page._RIGHT_CHAR_DECODED) : -1
+    if (right !== -1) problems.push(new PIDValidationError(`${Page._RIGHT_CHAR_DECODED} cannot be used in text to fit`, { field: 'text', value: Page._RIGHT_CHAR_DECODED, position: right }))
+    if (problems.length) throw problems[0]
+
+    let lines = text.split(Page._NEWLINE_CHAR).flatMap(paragraph => this._wrap(paragraph, abbreviations, characterSet))
+    let pages = []
+
+    for (let i = 0; i < lines.length; i += Page._DISPLAY_LINES) {
+      let pageText = lines.slice(i, i + Page._DISPLAY_LINES).join(Page._NEWLINE_CHAR)
+      if (i === 0) pages.push(new Page(PageAnimate.VSCROLL, delay, pageText, characterSet))
+      else pages.push(new Page(PageAnimate.HSCROLL, 0, pageText, characterSet))
+    }
+
+    return new DisplayMessage(pages, address)
+  }
+
+  /**
+   * Word-wraps a line of text to the width of the display for `DisplayMessage.fit`.
+   * 
+   * @param {string} text the text to wrap
+   * @param {Object<string, string>} abbreviations a mapping from words to their abbreviations
+   * @param {CharacterSet} [characterSet] defaults to `Page.characterSet`
+   * @returns {string[]} the wrapped lines
+   */
+  static _wrap(text, abbreviations, characterSet = Page.characterSet) {
+    let widest = Math.max(...Object.values(characterSet.getWidths()))
+    let fits = words => characterSet.width(words.join(' '), widest) <= Page._DISPLAY_WIDTH
+    // Punctuation following a word, such as a comma, is kept
+    let abbreviate = word => word.replace(/^[A-Za-z]+/, letters => abbreviations[letters] ?? letters)
+    let lines = []
+    let line = []
+
+    for (let word of text.split(/\s+/).filter(Boolean)) {
+      let candidate = [ ...line, word ]
+      for (let i = candidate.length - 1; i >= 0 && !fits(candidate); i--) {
+        candidate[i] = abbreviate(candidate[i])
+      }
+
+      if (fits(candidate)) {
+        line = candidate
+        continue
+      }
+
+      if (line.length) lines.push(line.join(' '))
+
+      word = abbreviate(word)
+      while (!fits([ word ])) {
+        let length = word.length - 1
+        while (!fits([ word.slice(0, length) ])) length--
+
+        lines.push(word.slice(0, length))
+        word = word.slice(length)
+      }
+
+      line = [ word ]
+    }
+
+    if (line.length) lines.push(line.join(' '))
+    return lines
+  }
+
+  static fromBytes(bytes, address, characterSet = Page.characterSet) {
     let expectedMarker = this.marker(address)
     if (!(bytes[0] === expectedMarker[0] && bytes[1] === expectedMarker[1] && bytes[2] === expectedMarker[2])) throw new RangeError('Incorrect header for DisplayMessage')
     let startIndex = expectedMarker.length
@@ -614,13 +1351,53 @@ export class DisplayMessage extends Message {
 
     if (page.length) throw new RangeError('Unexpected end of data')
 
-    return new DisplayMessage(pages.map(page => Page.fromBytes(Buffer.from(page))), address)
+    return new DisplayMessage(pages.map(page => Page.fromBytes(Buffer.from(page), characterSet)), address, DECODED)
   }
 
   toString() {
     return this.#pages.map(page => page.toString()).join(this.constructor._PAGE_SEP)
   }
 
+  /**
+    The JSON representation of this object, holding its address
+    and the JSON representation of each page, as produced by `Page.toJSON`.
+
+    @returns {{ address: int, pages: Object[] }}
+   */
+  toJSON() {
+    return {
+      ...(typeof this.#address === 'undefined' ? {} : { address: this.#address }),
+      pages: this.#pages.map(page => page.toJSON())
+    }
+  }
+
+  /**
+    Construct a `DisplayMessage` object from its JSON representation,
+    as produced by `DisplayMessage.toJSON` and described by the JSON Schema in message.schema.json.
+
+    Where any page fails to specify an ``animate`` or ``delay`` value,
+    the same defaults are applied as by `DisplayMessage.fromStr`.
+
+    @param {Object} json the JSON representation, already parsed
+    @param {int} [address] the device address, overriding any given in the JSON representation
+    @param {CharacterSet} [characterSet] the characters the pages can show. Defaults to `Page.characterSet`.
+
+    @throws {PIDValidationError}
+      if any page is invalid, as for `Page.fromJSON`.
+   */
+  static fromJSON(json, address = json?.address, characterSet = Page.characterSet) {
+    let pages = json?.pages
+    if (!Array.isArray(pages) || !pages.length) throw new PIDValidationError('Pages must be a non-empty array', { field: 'pages', value: pages })
+
+    return new DisplayMessage(pages.map((page, i) => {
+      try {
+        return Page.fromJSON(page, i === 0 ? PageAnimate.VSCROLL : PageAnimate.HSCROLL, i === 0 ? 10 : 0, characterSet)
+      } catch (e) {
+        throw e instanceof PIDValidationError ? e.withPage(i) : e
+      }
+    }), address)
+  }
+
   toBytes() {
     let pageBytes = this.#pages
       .map(page => page.toBytes())
@@ -635,6 +1412,85 @@ export class DisplayMessage extends Message {
 
 }
 
+/**
+  Construct the `Message` object represented by some raw bytes,
+  such as those captured from the serial line.
+
+  -   If the bytes start with a DLE/STX packet header,
+      the packet framing is removed
+      and the CRC checksum is verified & removed.
+
+  -   Otherwise the bytes are assumed to be an unframed payload
+      without a CRC checksum,
+      as produced by `Message.toBytes`.
+
+  The remaining bytes are matched against the `Message.marker` of
+  `DisplayMessage`, `PingMessage` and `ResponseMessage` in turn,
+  and the first match is used to construct the result.
+
+ * @param {Buffer} bytes a framed packet or an unframed payload
+ * @param {int} [address] the device address the bytes were sent to or read from. Defaults to the address byte at the start of the payload.
+ * @param {CharacterSet} [characterSet] the characters to decode a `DisplayMessage` with. Defaults to `Page.characterSet`.
+ * @returns {Message} a `DisplayMessage`, `PingMessage` or `ResponseMessage`
+ * @throws {CRCError} if the CRC checksum is incorrect
+ * @throws {RangeError} if a packet is incorrectly framed, or the payload is not a recognised `Message`
+ */
+export function inspect(bytes, address, characterSet = Page.characterSet) {
+  let payload = Buffer.from(bytes)
+
+  if (payload[0] === 0x10 && payload[1] === 0x02) payload = verify(decode(payload))
+  if (!payload.length) throw new RangeError('Cannot inspect an empty payload')
+  if (typeof address === 'undefined') address = payload[0]
+
+  for (let type of [ DisplayMessage, PingMessage, ResponseMessage ]) {
+    let marker = type.marker(address)
+    if (marker.every((byte, i) => payload[i] === byte)) return type.fromBytes(payload, address, characterSet)
+  }
+
+  throw new RangeError(`Unrecognised message ${payload.toString('hex')} for address ${address.toString(16)}`)
+}
+
+/**
+ * Describes a `Message` in a few lines of text, one line per page of a `DisplayMessage`,
+ * as printed by the ``decode`` command of the command line tool.
+ *
+ * @param {Message} message
+ * @returns {string}
+ */
+export function describe(message) {
+  let lines = [ `${message.constructor.name} for address ${message.getAddress()}` ]
+  if (message instanceof DisplayMessage) {
+    message.getPages().forEach((page, i) => {
+      lines.push(`  Page ${i + 1}: animate=${page.getAnimate()} delay=${page.getDelay()} text=${JSON.stringify(page.getText())}`)
+    })
+    lines.push(`  String: ${message.toString()}`)
+  }
+
+  return lines.join('\n')
+}
+
+/**
+  An `AckTimeoutError` is raised by `PID.send`
+  when the display does not acknowledge a transmission in time,
+  which usually means the display is disconnected or powered off.
+ */
+export class AckTimeoutError extends Error {
+
+  /**
+   * Constructs a new AckTimeoutError.
+   * 
+   * @param {int} address the address of the display that failed to respond
+   * @param {number} timeout the time waited for the acknowledgement, in milliseconds
+   */
+  constructor(address, timeout) {
+    super(`No acknowledgement received from address ${address} within ${timeout}ms`)
+    this.name = 'AckTimeoutError'
+    this.address = address
+    this.timeout = timeout
+  }
+
+}
+
 /**
   A `PID` object represents a serial connection to a physical display.
 
@@ -642,21 +1498,78 @@ export class DisplayMessage extends Message {
   and can send messages in the form of `Message` objects, strings, or raw `bytes`
   using the `send` method.
   It is possible to `ping` the display at regular intervals
-  to persist the currently-displayed message.
+  to persist the currently-displayed message,
+  or to have this done automatically using `startKeepAlive`.
 
   `PID` objects also manage the CRC checksumming & DLE/STX/ETX packet framing
   used by the display in what it receives & transmits,
   and ensure that every instruction sent to the display
   is acknowledged.
 
+  Every packet received from the display is passed through `inspect`
+  and emitted as a `'message'` event with the resulting `Message` object.
+  Packets that cannot be inspected are emitted as an `'invalid-packet'` event
+  with the error and the packet,
+  and those with an incorrect CRC also as a `'crc-error'` event with the `CRCError` and the packet.
+  A corrupted acknowledgement doesn't fail `send` by itself;
+  the transmission is retried or times out as if it were never acknowledged.
+  Every packet written and received is also emitted as a `'frame'` event
+  with its direction (``'out'`` or ``'in'``) and the packet,
+  and every chunk read from the serial port as a `'data'` event with the bytes as they were read,
+  including line noise and partial packets, as used by a `Recorder`.
+
+  When the serial port is a `SupervisedPort`,
+  its `'connected'` and `'disconnected'` events are emitted too,
+  and the last `DisplayMessage` sent is sent again whenever the port is reopened.
+
  */
 export class PID extends EventEmitter {
 
+  /** The default `send` priority of everything except `PingMessage` objects. */
+  static PRIORITY_DISPLAY = 1
+
+  /** The default `send` priority of `PingMessage` objects. */
+  static PRIORITY_PING = 0
+
+  /**
+   * Bytes transmitted by the display arrive on the serial line inverted and shifted.
+   * Converts bytes read from the serial line into the bytes the display sent.
+   * 
+   * @param {Buffer} data the bytes read from the serial line
+   * @returns {Buffer}
+   */
+  static _decodeLine(data) {
+    return Buffer.from([ ...data ].map(char => (0xFF - char) >> 1))
+  }
+
+  /**
+   * The reverse of `PID._decodeLine`, for bytes no greater than ``0x7F``.
+   * 
+   * @param {Buffer} data the bytes sent by the display
+   * @returns {Buffer} the bytes as they appear on the serial line
+   */
+  static _encodeLine(data) {
+    return Buffer.from([ ...data ].map(byte => 0xFF - (byte << 1)))
+  }
+
   #serial
   #ignoreResponses
   #address
-
-  #readBuffer
+  #ackTimeout
+  #retries
+  #retryDelay
+  #characterSet
+
+  #parser
+
+  #queue = []
+  #inFlight = null
+  #lastSent = Date.now()
+  #keepAliveInterval = null
+  #keepAliveTimer = null
+  #lastMessage = null
+  #stats
+  #closed = false
 
   /**
    * Constructs a new PID instance.
@@ -664,46 +1577,120 @@ export class PID extends EventEmitter {
    * @param {SerialPort} serial a `serialport.SerialPort` object. In normal use a correctly configured one is set by `PID.forDevice`.
    * @param {boolean} [ignoreResponses=false] whether to ignore the response from the PID whenever `PID.send` is called. Defaults to ``false``.
    * @param {int} [address=0x01] the address of the PID. Allows for one controller to control multiple PIDs.
+   * @param {Object} [options]
+   * @param {number} [options.ackTimeout=500] the time in milliseconds to wait for the display to acknowledge a transmission.
+   * @param {int} [options.retries=0] the number of times to resend a transmission that is not acknowledged.
+   * @param {number} [options.retryDelay=100] the time in milliseconds to wait before the first retry, doubling for each subsequent retry.
+   * @param {CharacterSet} [options.characterSet] the characters the display can show, used for strings given to `PID.send`. Defaults to `Page.characterSet`.
    */
-  constructor(serial, ignoreResponses = false, address = 0x01) {
+  constructor(serial, ignoreResponses = false, address = 0x01, { ackTimeout = 500, retries = 0, retryDelay = 100, characterSet = Page.characterSet } = {}) {
     super()
     this.#serial = serial
     this.#ignoreResponses = ignoreResponses
     this.#address = address
+    this.#ackTimeout = ackTimeout
+    this.#retries = retries
+    this.#retryDelay = retryDelay
+    this.#characterSet = characterSet
+    this.#stats = new PIDStats(address)
+
+    this.#parser = new PacketParser()
+    this.#parser.on('packet', packet => {
+      this.emit('frame', 'in', packet)
+
+      let message
+      try {
+        message = inspect(packet)
+      } catch (e) {
+        let counter = classifyInvalidPacket(packet)
+        if (counter) this.#stats.count(counter)
+        if (e instanceof CRCError) this.emit('crc-error', e, packet)
+        return this.emit('invalid-packet', e, packet)
+      }
 
-    this.#readBuffer = []
+      this.emit('message', message)
+    })
+    this.#parser.on('noise', () => this.#stats.count('framingErrors'))
 
     serial.on('data', data => {
-      let parsedData = [ ...data ].map(char => (0xFF - char) >> 1)
-      this.#readBuffer.push(...parsedData)
+      this.emit('data', data)
+      this.#parser.write(PID._decodeLine(data))
     })
 
     serial.on('error', err => this.emit('error', err))
+
+    serial.on('connected', path => {
+      this.emit('connected', path)
+      this.#replay()
+    })
+    serial.on('disconnected', err => this.emit('disconnected', err))
   }
 
   /**
     Construct a `PID` object connected to the specified serial device
     with a correctly configured `serialport.Serial` object.
 
-    The `serialport.Serial` object is configured to time out after 500ms
-    during read operations,
-    which is ample time for the display to send acknowledgement
+    Unless configured otherwise, `PID.send` waits 500ms for acknowledgement,
+    which is ample time for the display to respond
     after being written to.
 
-   * @param {string} port the serial device name, such as ``/dev/ttyUSB0`` on Linux or ``COM1`` on Windows.
+    With the ``supervise`` option, the port is reopened whenever it is lost,
+    using a `SupervisedPort`.
+
+   * @param {string|Object} port the serial device name, such as ``/dev/ttyUSB0`` on Linux or ``COM1`` on Windows.
     The correct device name can be found on Linux by unplugging and re-plugging the display connection,
     running ``dmesg``, and inspecting the output for the device name.
+    When supervised, the USB ids of the adapter can be given instead, as accepted by the `SupervisedPort` constructor.
    * @param {boolean} [ignoreResponses] whether to ignore the response from the PID whenever `PID.send` is called. Defaults to ``false``.
    * @param {int} [address] the address of the PID. Allows for one controller to control multiple PIDs.
+   * @param {Object} [options] acknowledgement options, as accepted by the `PID` constructor.
+   * @param {boolean|Object} [options.supervise=false] whether to reopen the port when lost, or options for the `SupervisedPort` constructor.
    */
-  static forDevice(port, ignoreResponses, address) {
-    return new PID(
-      new SerialPort({ path: port, baudRate: 9600 }),
-      ignoreResponses,
-      address
-    )
+  static forDevice(port, ignoreResponses, address, { supervise = false, ...options } = {}) {
+    let serial = supervise
+      ? new SupervisedPort({ ...(typeof port === 'string' ? { path: port } : port), ...(supervise === true ? {} : supervise) })
+      : new SerialPort({ path: port, baudRate: 9600 })
+
+    return new PID(serial, ignoreResponses, address, options)
+  }
+
+  /**
+   * @returns {int} the address of the display
+   */
+  getAddress() { return this.#address }
+
+  /**
+   * @returns {CharacterSet} the characters the display can show
+   */
+  getCharacterSet() { return this.#characterSet }
+
+  /**
+   * @returns {string} the state of a `SupervisedPort`: ``'connecting'``, ``'connected'``, ``'disconnected'`` or ``'closed'``.
+   *          For other ports, ``'connected'`` while open and ``'closed'`` otherwise.
+   */
+  getConnectionState() {
+    if (typeof this.#serial.getState === 'function') return this.#serial.getState()
+    return this.#serial.isOpen ? 'connected' : 'closed'
   }
 
+  /**
+   * @returns {DisplayMessage} the last `DisplayMessage` written to the port, or ``null``
+   */
+  getLastMessage() { return this.#lastMessage }
+
+  /**
+    Statistics of the transmissions to and from the display, as described by `PIDStats.toJSON`:
+    ``sends`` (including retries), ``acks``, ``retries``, ``timeouts``,
+    ``crcErrors`` and ``framingErrors`` in what was received,
+    the time of the last acknowledgement as ``lastAck``,
+    and an ``ackLatency`` histogram.
+
+    They can be served to Prometheus by a `StatsExporter`.
+
+   * @returns {Object}
+   */
+  getStats() { return this.#stats.toJSON() }
+
   /**
   Send data to the display---most typically message data,
   although any `bytes` data can be sent.
@@ -726,10 +1713,36 @@ export class PID extends EventEmitter {
       the packet is assumed to already contain a correct CRC checksum
       and sent without change.
 
+  Unless responses are ignored, the returned promise resolves
+  once a `ResponseMessage` from this display's address is received.
+  If none arrives within the acknowledgement timeout,
+  the packet is resent up to ``retries`` times,
+  waiting ``retryDelay`` milliseconds (doubling each time) in between.
+
+  Transmissions are queued so that each one waits
+  for the previous one to be acknowledged.
+  Queued data with a higher ``priority`` is sent first,
+  and a queued `DisplayMessage` that has not been sent yet
+  is replaced by any newer `DisplayMessage`,
+  with both calls resolving once the newer one is acknowledged.
+  Data still queued when the `PID` is closed is never sent.
+
    * @param {*} data a string, `Message` object, or `Buffer` object.
+   * @param {Object} [options] overrides for the ``ackTimeout`` and ``retries`` given to the constructor.
+   * @param {number} [options.timeout] the time in milliseconds to wait for acknowledgement.
+   * @param {int} [options.retries] the number of times to resend an unacknowledged packet.
+   * @param {number} [options.priority] the queue priority. Defaults to `PID.PRIORITY_PING` for `PingMessage` objects and `PID.PRIORITY_DISPLAY` otherwise.
+   * @returns {Promise<ResponseMessage>} the acknowledgement, or ``undefined`` if responses are ignored.
+   * @throws {AckTimeoutError} if the display never acknowledges the packet.
+   * @throws {Error} if the `PID` is closed before the packet is sent.
    */
-  async send(data) {
-    if (typeof data === 'string') data = DisplayMessage.fromStr(data, this.#address)
+  async send(data, { timeout = this.#ackTimeout, retries = this.#retries, priority } = {}) {
+    if (this.#closed) throw new Error('Cannot send to a closed PID')
+    if (typeof data === 'string') data = DisplayMessage.fromStr(data, this.#address, this.#characterSet)
+    if (typeof priority === 'undefined') priority = data instanceof PingMessage ? PID.PRIORITY_PING : PID.PRIORITY_DISPLAY
+
+    let coalesce = data instanceof DisplayMessage
+    let message = coalesce ? data : null
     if (data instanceof Message) data = data.toBytes()
 
     try {
@@ -738,21 +1751,232 @@ export class PID extends EventEmitter {
       data = encode(Buffer.from([ ...data, ...crc(data) ]))
     }
 
-    this.#serial.write(data)
-    await new Promise(r => this.#serial.drain(r))
+    return new Promise((resolve, reject) => {
+      let entry = { packet: data, timeout, retries, priority, coalesce, message, written: false, callers: [ { resolve, reject } ] }
 
-    if (!this.#ignoreResponses) {
-      await new Promise(r => setTimeout(r), 100)
-      let response = verify(decode(Buffer.from(this.#readBuffer)))
-      this.#readBuffer = []
+      let superseded = coalesce && this.#queue.find(queued => queued.coalesce)
+      if (superseded) {
+        this.#queue.splice(this.#queue.indexOf(superseded), 1)
+        entry.callers.unshift(...superseded.callers)
+        entry.priority = Math.max(priority, superseded.priority)
+      }
+
+      let index = this.#queue.findIndex(queued => queued.priority < entry.priority)
+      if (index === -1) this.#queue.push(entry)
+      else this.#queue.splice(index, 0, entry)
+
+      this.#processQueue()
+    })
+  }
+
+  /**
+   * The number of `send` calls not yet completed,
+   * counting coalesced `DisplayMessage` objects once.
+   */
+  get pending() {
+    return this.#queue.length + (this.#inFlight ? 1 : 0)
+  }
+
+  async #processQueue() {
+    if (this.#inFlight) return
+
+    while (this.#queue.length) {
+      let entry = this.#inFlight = this.#queue.shift()
+      try {
+        let response = await this.#transmitWithRetries(entry)
+        for (let caller of entry.callers) caller.resolve(response)
+      } catch (e) {
+        for (let caller of entry.callers) caller.reject(e)
+      } finally {
+        this.#lastSent = Date.now()
+      }
+    }
+
+    this.#inFlight = null
+    this.#scheduleKeepAlive()
+  }
+
+  async #transmitWithRetries(entry) {
+    let { timeout, retries } = entry
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.#transmit(entry, timeout)
+      } catch (e) {
+        if (!(e instanceof AckTimeoutError) || attempt >= retries) throw e
+        await new Promise(r => setTimeout(r, this.#retryDelay * 2 ** attempt))
+        if (this.#closed) throw e
+        this.#stats.count('retries')
+      }
     }
   }
 
+  /**
+   * Writes the packet of a queued entry and waits for the display to acknowledge it.
+   * The acknowledgement timeout only starts once the packet is fully written.
+   */
+  async #transmit(entry, timeout) {
+    let { packet } = entry
+    if (this.getConnectionState() === 'connecting') await this.#awaitConnection()
+
+    let ack = this.#ignoreResponses ? null : this.#awaitAck()
+    try {
+      this.#serial.write(packet)
+      this.#stats.count('sends')
+      this.emit('frame', 'out', packet)
+
+      entry.written = true
+      if (entry.message) this.#lastMessage = entry.message
+
+      await new Promise(r => this.#serial.drain(r))
+      if (!ack) return
+
+      let written = performance.now()
+      let response = await ack.wait(timeout)
+      this.#stats.ack(performance.now() - written)
+      return response
+    } catch (e) {
+      if (e instanceof AckTimeoutError) this.#stats.count('timeouts')
+      throw e
+    } finally {
+      // The acknowledgement is listened for from before the write, so it must be stopped if the write fails
+      ack?.cancel()
+      // A `PIDBus` holds the line for this display until then
+      this.#serial.settle?.()
+    }
+  }
+
+  /**
+   * Waits for a `SupervisedPort` that is opening to connect or fail,
+   * much as `serialport.SerialPort` queues writes while it opens.
+   */
+  #awaitConnection() {
+    return new Promise(resolve => {
+      let events = [ 'connected', 'connect-failed', 'close' ]
+      let settled = () => {
+        for (let event of events) this.#serial.off(event, settled)
+        resolve()
+      }
+
+      for (let event of events) this.#serial.on(event, settled)
+    })
+  }
+
+  #awaitAck() {
+    let onMessage
+    let received = new Promise(resolve => {
+      onMessage = message => {
+        if (!(message instanceof ResponseMessage) || message.getAddress() !== this.#address) return
+        this.off('message', onMessage)
+        resolve(message)
+      }
+
+      this.on('message', onMessage)
+    })
+
+    return {
+      wait: timeout => new Promise((resolve, reject) => {
+        let timer = setTimeout(() => {
+          this.off('message', onMessage)
+          reject(new AckTimeoutError(this.#address, timeout))
+        }, timeout)
+
+        received.then(message => {
+          clearTimeout(timer)
+          resolve(message)
+        })
+      }),
+      cancel: () => this.off('message', onMessage)
+    }
+  }
+
+  /**
+   * Resends the last `DisplayMessage` once a lost port is reopened,
+   * as the display will have cleared it in the meantime.
+   * If it fails, a `'replay-failed'` event is emitted with the error.
+   */
+  async #replay() {
+    if (!this.#lastMessage) return
+
+    // A DisplayMessage waiting to be written is newer, and will be written on the new connection anyway
+    if ([ this.#inFlight, ...this.#queue ].some(entry => entry?.message && !entry.written)) return
+
+    try {
+      await this.send(this.#lastMessage)
+    } catch (e) {
+      this.emit('replay-failed', e)
+    }
+  }
+
+  /**
+   * Ping the display, stopping it from clearing the current message.
+   *
+   * @returns {Promise<ResponseMessage>} the acknowledgement, or ``undefined`` if responses are ignored.
+   */
   async ping() {
-    await this.send(new PingMessage(undefined, this.#address))
+    return await this.send(new PingMessage(undefined, this.#address))
+  }
+
+  /**
+  Automatically `ping` the display to stop it from clearing.
+
+  A ping is only sent once nothing else has been sent for ``intervalMs``,
+  and never while another transmission is in progress.
+  If a ping fails, a `'keepalive-failed'` event is emitted with the error
+  and pinging continues.
+
+   * @param {Object} [options]
+   * @param {number} [options.intervalMs=30000] the longest time to go without sending anything, in milliseconds. Should be well under the one minute it takes the display to clear.
+   */
+  startKeepAlive({ intervalMs = 30000 } = {}) {
+    this.stopKeepAlive()
+    this.#keepAliveInterval = intervalMs
+    this.#scheduleKeepAlive()
+  }
+
+  /**
+   * Stop automatically pinging the display.
+   */
+  stopKeepAlive() {
+    clearTimeout(this.#keepAliveTimer)
+    this.#keepAliveTimer = null
+    this.#keepAliveInterval = null
   }
 
+  #scheduleKeepAlive() {
+    if (!this.#keepAliveInterval) return
+
+    clearTimeout(this.#keepAliveTimer)
+    let wait = Math.max(0, this.#lastSent + this.#keepAliveInterval - Date.now())
+    this.#keepAliveTimer = setTimeout(() => this.#keepAlive(), wait)
+  }
+
+  async #keepAlive() {
+    this.#keepAliveTimer = null
+
+    // Rescheduled once the queue is empty
+    if (this.pending) return
+    if (Date.now() - this.#lastSent < this.#keepAliveInterval) return this.#scheduleKeepAlive()
+
+    try {
+      await this.ping()
+    } catch (e) {
+      this.emit('keepalive-failed', e)
+    }
+  }
+
+  /**
+   * Stops pinging the display and closes the serial port.
+   * Queued data that has not been sent yet is rejected, and any transmission in progress is not retried.
+   */
   async close() {
+    this.#closed = true
+    this.stopKeepAlive()
+
+    let error = new Error('The PID was closed before the data was sent')
+    for (let entry of this.#queue.splice(0)) {
+      for (let caller of entry.callers) caller.reject(error)
+    }
+
     await new Promise(r => this.#serial.close(r))
   }
 }
\ No newline at end of file
@@ -0,0 +1,168 @@
+import { crc } from './crc.mjs'
+import { PacketParser, encode } from './dlestxetx.mjs'
+import { PID, ResponseMessage, inspect } from './index.mjs'
+import EventEmitter from 'events'
+
+/**
+  A `MockPIDDevice` object behaves like the serial port of a physical display,
+  for testing without hardware.
+
+  It can be passed to the `PID` (or `PIDBus`) constructor in place of a `serialport.SerialPort`.
+  Every packet written to it is inspected and recorded,
+  then acknowledged with a `ResponseMessage` in the same inverted form a physical display uses,
+  unless the packet isn't for one of its addresses.
+
+  Faults can be injected to test error handling:
+  acknowledgements can be dropped or sent with an incorrect CRC,
+  and arbitrary bytes can be sent as line noise.
+
+  Each packet received is emitted as a `'message'` event with the `Message` object,
+  or as an `'invalid-packet'` event with the error if it cannot be inspected.
+ */
+export class MockPIDDevice extends EventEmitter {
+
+  #addresses
+  #responseDelay
+  #parser
+  #dropAcks = 0
+  #corruptAcks = 0
+
+  #received = []
+  #invalid = []
+  #open = true
+
+  /**
+   * Constructs a new MockPIDDevice.
+   *
+   * @param {Object} [options]
+   * @param {int[]} [options.addresses=[0x01]] the addresses of the displays on the mock serial line.
+   * @param {number} [options.responseDelay=0] the time in milliseconds taken to acknowledge a packet.
+   */
+  constructor({ addresses = [ 0x01 ], responseDelay = 0 } = {}) {
+    super()
+    this.#addresses = addresses
+    this.#responseDelay = responseDelay
+
+    this.#parser = new PacketParser()
+    this.#parser.on('packet', packet => this.#receive(packet))
+  }
+
+  /**
+   * @returns {Message[]} every message received, in order
+   */
+  getReceived() { return this.#received.slice(0) }
+
+  /**
+   * @returns {Error[]} the errors from every packet received that could not be inspected
+   */
+  getInvalid() { return this.#invalid.slice(0) }
+
+  /**
+   * Don't acknowledge the next packets received.
+   *
+   * @param {int} [count=1] the number of packets not to acknowledge
+   */
+  dropAcks(count = 1) {
+    this.#dropAcks += count
+  }
+
+  /**
+   * Acknowledge the next packets received with an incorrect CRC.
+   *
+   * @param {int} [count=1] the number of acknowledgements to corrupt
+   */
+  corruptAcks(count = 1) {
+    this.#corruptAcks += count
+  }
+
+  /**
+   * Send bytes as they would appear on the serial line, such as line noise.
+   *
+   * @param {Buffer} bytes the raw bytes
+   */
+  injectGarbage(bytes) {
+    this.emit('data', Buffer.from(bytes))
+  }
+
+  /**
+   * Send a `ResponseMessage` as a physical display would.
+   *
+   * @param {int} [address=0x01] the address of the display responding
+   * @param {boolean} [corrupt=false] whether to send an incorrect CRC
+   */
+  respond(address = this.#addresses[0], corrupt = false) {
+    let bytes = new ResponseMessage(MockPIDDevice.responseByte(address), address).toBytes()
+    let checksum = crc(bytes)
+
+    if (corrupt) {
+      let mask = (checksum[0] ^ 0x20) === 0x10 ? 0x40 : 0x20
+      checksum[0] ^= mask
+    }
+
+    this.emit('data', PID._encodeLine(encode(Buffer.from([ ...bytes, ...checksum ]))))
+  }
+
+  /**
+    Find an ``unspecified_byte`` for a `ResponseMessage` from an address
+    that leaves no byte of the packet above ``0x7F``,
+    as only those bytes survive the inversion used on the serial line.
+
+   * @param {int} address the address of the display responding
+   * @returns {int}
+   */
+  static responseByte(address) {
+    for (let byte = 0; byte <= 0x7F; byte++) {
+      let bytes = new ResponseMessage(byte, address).toBytes()
+      if (encode(Buffer.from([ ...bytes, ...crc(bytes) ])).every(char => char <= 0x7F)) return byte
+    }
+
+    throw new RangeError(`No response can be sent from address ${address}`)
+  }
+
+  #receive(packet) {
+    let message
+    try {
+      message = inspect(packet)
+    } catch (e) {
+      this.#invalid.push(e)
+      return this.emit('invalid-packet', e, packet)
+    }
+
+    this.#received.push(message)
+    this.emit('message', message)
+
+    let address = message.getAddress()
+    if (!this.#addresses.includes(address)) return
+
+    if (this.#dropAcks > 0) {
+      this.#dropAcks--
+      return
+    }
+
+    let corrupt = this.#corruptAcks > 0
+    if (corrupt) this.#corruptAcks--
+
+    setTimeout(() => this.respond(address, corrupt), this.#responseDelay)
+  }
+
+  get isOpen() { return this.#open }
+
+  write(data) {
+    if (!this.#open) throw new Error('Port is not open')
+    this.#parser.write(Buffer.from(data))
+    return true
+  }
+
+  drain(callback) {
+    setImmediate(callback)
+  }
+
+  close(callback) {
+    this.#open = false
+    setImmediate(() => {
+      this.emit('close')
+      if (callback) callback()
+    })
+  }
+
+}
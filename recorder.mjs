@@ -0,0 +1,179 @@
+import { createReadStream, createWriteStream } from 'fs'
+import { createInterface } from 'readline'
+import { PID, describe, inspect } from './index.mjs'
+import EventEmitter from 'events'
+
+/**
+ * Builds the record of a frame, describing the message it holds, or of a chunk read from the serial port.
+ */
+function record(direction, bytes, elapsed, time) {
+  let entry = { time: time.toISOString(), elapsed, direction, hex: bytes.toString('hex') }
+  if (direction === 'data') return entry
+
+  try {
+    entry.description = describe(inspect(bytes))
+  } catch (e) {
+    entry.error = `${e.name}: ${e.message}`
+  }
+
+  return entry
+}
+
+/**
+  A `Recorder` object writes every frame a `PID` transmits and receives to a JSON-lines log,
+  along with every chunk of bytes read from the serial port,
+  so that a session can be examined or replayed by a `Replayer` later.
+
+  Each line is an object with:
+
+  -   ``time``: when the frame was written or read, as an ISO 8601 string;
+  -   ``elapsed``: the milliseconds since recording started;
+  -   ``direction``: ``out`` for frames written to the display, ``in`` for frames read from it,
+      or ``data`` for the bytes read from the serial port;
+  -   ``hex``: the DLE/STX/ETX frame, including its CRC, as hexadecimal.
+      Frames read from the display are as the display sent them, not as inverted on the serial line.
+      The bytes of a ``data`` line are exactly as read from the serial line,
+      including any line noise and partial frames that never made up a frame;
+  -   ``description``: the `Message` inspected from the frame, as described by `describe`,
+      or ``error`` if it could not be inspected. ``data`` lines have neither.
+ */
+export class Recorder {
+
+  #pid
+  #stream
+  #ownStream
+  #start
+  #now
+  #listener
+  #dataListener
+
+  /**
+   * Constructs a new Recorder, and starts recording.
+   *
+   * @param {PID} pid the display to record the frames of
+   * @param {string|Writable} output the path of the file to append the log to, or a stream to write it to
+   * @param {Object} [options]
+   * @param {Function} [options.now] gets the current time, for testing
+   */
+  constructor(pid, output, { now = () => new Date() } = {}) {
+    this.#pid = pid
+    this.#ownStream = typeof output === 'string'
+    this.#stream = this.#ownStream ? createWriteStream(output, { flags: 'a' }) : output
+    this.#now = now
+    this.#start = now()
+
+    this.#listener = (direction, packet) => this.#write(direction, packet)
+    this.#dataListener = data => this.#write('data', data)
+    pid.on('frame', this.#listener)
+    pid.on('data', this.#dataListener)
+  }
+
+  #write(direction, bytes) {
+    let time = this.#now()
+    this.#stream.write(JSON.stringify(record(direction, bytes, time - this.#start, time)) + '\n')
+  }
+
+  /**
+   * Stop recording, closing the file if one was given.
+   */
+  async stop() {
+    this.#pid.off('frame', this.#listener)
+    this.#pid.off('data', this.#dataListener)
+    if (this.#ownStream) await new Promise(resolve => this.#stream.end(resolve))
+  }
+
+}
+
+/**
+  A `Replayer` object plays back a session recorded by a `Recorder`,
+  at its original timing or faster.
+
+  A session can be played back:
+
+  -   through a `PID`, sending each frame originally written to the display again,
+      to reproduce what a display was shown;
+  -   through a serial port such as a `MockPIDDevice`, or anything else with a ``write`` method that emits `'data'` events,
+      writing each frame originally written to the display to it,
+      and emitting each chunk originally read from the serial port as `'data'` from it,
+      to reproduce what a `PID` using the port received, including any framing faults.
+      Logs without ``data`` lines have each frame originally read from the display emitted instead,
+      inverted as on the serial line.
+
+  Emits a `'frame'` event with each frame entry as it is played, and a `'data'` event with each ``data`` entry,
+  and a `'send-failed'` event with the error and the entry if a `PID` could not send a frame.
+ */
+export class Replayer extends EventEmitter {
+
+  #entries
+
+  /**
+   * Constructs a new Replayer.
+   *
+   * @param {Object[]} entries the entries of the log, as written by a `Recorder`
+   */
+  constructor(entries) {
+    super()
+    this.#entries = entries
+  }
+
+  /**
+   * Reads a log written by a `Recorder`.
+   *
+   * @param {string} path the path of the log
+   * @returns {Promise<Replayer>}
+   */
+  static async load(path) {
+    let entries = []
+    for await (let line of createInterface({ input: createReadStream(path), crlfDelay: Infinity })) {
+      if (line.trim()) entries.push(JSON.parse(line))
+    }
+
+    return new Replayer(entries)
+  }
+
+  /**
+   * @returns {Object[]} the entries of the log
+   */
+  getEntries() { return this.#entries.slice(0) }
+
+  /**
+    Play the session back.
+
+   * @param {PID|Object} target the `PID` or serial port to play the session through
+   * @param {Object} [options]
+   * @param {number} [options.speed=1] how many times faster than the original to play the session, or ``Infinity`` for no delays
+   * @param {AbortSignal} [options.signal] stops playing the session
+   * @returns {Promise} resolves once every entry has been played and any frames sent through a `PID` acknowledged
+   */
+  async replay(target, { speed = 1, signal } = {}) {
+    if (!(speed > 0)) throw new RangeError(`Invalid speed ${speed}`)
+
+    let sends = []
+    let raw = this.#entries.some(entry => entry.direction === 'data')
+    let start = performance.now()
+    let first = this.#entries[0]?.elapsed ?? 0
+
+    for (let entry of this.#entries) {
+      let wait = (entry.elapsed - first) / speed - (performance.now() - start)
+      if (wait > 0 && Number.isFinite(wait)) await new Promise(resolve => setTimeout(resolve, wait))
+      if (signal?.aborted) break
+
+      let bytes = Buffer.from(entry.hex, 'hex')
+      this.emit(entry.direction === 'data' ? 'data' : 'frame', entry)
+
+      if (target instanceof PID) {
+        if (entry.direction !== 'out') continue
+        sends.push(target.send(bytes).catch(e => this.emit('send-failed', e, entry)))
+      } else if (entry.direction === 'out') {
+        target.write(bytes)
+      } else if (entry.direction === 'data') {
+        target.emit('data', bytes)
+      } else if (!raw) {
+        target.emit('data', PID._encodeLine(bytes))
+      }
+    }
+
+    await Promise.all(sends)
+  }
+
+}
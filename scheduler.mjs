@@ -0,0 +1,294 @@
+import { DisplayMessage } from './index.mjs'
+import EventEmitter from 'events'
+
+const DAY_NAMES = [ 'sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat' ]
+
+/**
+ * Parses a time of day such as ``07:30``.
+ *
+ * @returns {number} the minutes since midnight
+ */
+function parseTimeOfDay(time) {
+  let match = /^(\d{1,2}):(\d{2})$/.exec(time)
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) throw new RangeError(`Invalid time of day ${time}`)
+
+  return Number(match[1]) * 60 + Number(match[2])
+}
+
+/**
+ * Parses days of the week given as numbers (``0`` for Sunday) or names such as ``Mon``.
+ */
+function parseDays(days) {
+  return days.map(day => {
+    let index = typeof day === 'number' ? day : DAY_NAMES.indexOf(String(day).slice(0, 3).toLowerCase())
+    if (!Number.isInteger(index) || index < 0 || index > 6) throw new RangeError(`Invalid day of the week ${day}`)
+
+    return index
+  })
+}
+
+/**
+  A `MessageScheduler` object rotates a playlist of messages on a `PID`,
+  as a display shows a single `DisplayMessage` until it is replaced.
+
+  Each entry in the playlist is shown for its duration,
+  and can be limited to a time window each day and to certain days of the week.
+  Only the active entries with the highest priority are rotated,
+  so that, for example, an entry for peak hours can take the place of the usual playlist.
+  Which entries are active is checked whenever an entry finishes.
+
+  An announcement pre-empts the playlist immediately.
+  Once every announcement has been shown,
+  the interrupted entry is shown again for the rest of its duration
+  and the playlist carries on.
+
+  Emits a `'switch'` event with the entry or announcement, and the reason
+  (``'playlist'``, ``'announcement'`` or ``'resume'``), whenever a different message is shown,
+  an `'idle'` event when no entry is active,
+  and a `'send-failed'` event with the error and the entry if a message could not be sent.
+ */
+export class MessageScheduler extends EventEmitter {
+
+  #pid
+  #now
+  #idleRetry
+
+  #entries = []
+  #nextId = 1
+  #announcements = []
+  #resolvers = new Map()
+
+  #running = false
+  #timer = null
+  #current = null
+  #interrupted = null
+  #lastEntry = null
+  #showing = null
+
+  /**
+   * Constructs a new MessageScheduler.
+   *
+   * @param {PID} pid the display to show the messages on
+   * @param {Object} [options]
+   * @param {number} [options.idleRetryMs=60000] how often to check for an active entry when there is none, in milliseconds
+   * @param {Function} [options.now] gets the current time, for testing
+   */
+  constructor(pid, { idleRetryMs = 60000, now = () => new Date() } = {}) {
+    super()
+    this.#pid = pid
+    this.#idleRetry = idleRetryMs
+    this.#now = now
+  }
+
+  /**
+    Add an entry to the end of the playlist.
+
+   * @param {Object} entry
+   * @param {string|DisplayMessage} entry.message the message, or its string representation as accepted by `DisplayMessage.fromStr`
+   * @param {number} entry.duration the time to show the message for, in milliseconds
+   * @param {int} [entry.priority=0] only the active entries with the highest priority are shown
+   * @param {string} [entry.from] the time of day the entry becomes active, such as ``07:00``
+   * @param {string} [entry.until] the time of day the entry stops being active, such as ``09:30``. May be before ``from`` to span midnight.
+   * @param {(int|string)[]} [entry.days] the days of the week the entry is active, as numbers (``0`` for Sunday) or names such as ``Mon``
+   * @returns {int} the id of the entry
+   * @throws {PIDValidationError} if the message is invalid
+   * @throws {RangeError} if the duration, times or days are invalid
+   */
+  add({ message, duration, priority = 0, from, until, days }) {
+    if (!(duration > 0)) throw new RangeError(`Invalid duration ${duration}`)
+
+    let entry = {
+      id: this.#nextId++,
+      message: this.#message(message),
+      duration,
+      priority,
+      from: from === undefined ? undefined : parseTimeOfDay(from),
+      until: until === undefined ? undefined : parseTimeOfDay(until),
+      days: days === undefined ? undefined : parseDays(days)
+    }
+
+    this.#entries.push(entry)
+    if (this.#running && !this.#current) this.#next()
+
+    return entry.id
+  }
+
+  /**
+   * Remove an entry from the playlist. If it is being shown, the next entry is shown.
+   *
+   * @param {int} id the id returned by `MessageScheduler.add`
+   * @returns {boolean} whether the entry was found
+   */
+  remove(id) {
+    let index = this.#entries.findIndex(entry => entry.id === id)
+    if (index === -1) return false
+
+    this.#entries.splice(index, 1)
+    if (this.#interrupted?.entry.id === id) this.#interrupted = null
+    if (this.#current?.entry.id === id) this.#next()
+
+    return true
+  }
+
+  /**
+   * @returns {Object[]} the entries of the playlist, in order
+   */
+  getPlaylist() {
+    return this.#entries.map(entry => ({ ...entry }))
+  }
+
+  /**
+   * @returns {Object} the entry or announcement being shown, or ``null``
+   */
+  getCurrent() {
+    return this.#current ? { ...this.#current.entry } : null
+  }
+
+  /**
+   * Whether an entry is active at a time.
+   *
+   * @param {Object} entry an entry of the playlist
+   * @param {Date} [time] defaults to now
+   * @returns {boolean}
+   */
+  isActive(entry, time = this.#now()) {
+    if (entry.days && !entry.days.includes(time.getDay())) return false
+
+    let minutes = time.getHours() * 60 + time.getMinutes()
+    let from = entry.from ?? 0
+    let until = entry.until ?? 24 * 60
+
+    return from <= until ? from <= minutes && minutes < until : minutes >= from || minutes < until
+  }
+
+  /**
+    Show a message straight away, pre-empting the playlist,
+    or after any announcements already waiting.
+    Waiting announcements with a higher priority are shown first.
+
+   * @param {string|DisplayMessage} message the message, or its string representation
+   * @param {Object} options
+   * @param {number} options.duration the time to show the message for, in milliseconds
+   * @param {int} [options.priority=0] the priority among waiting announcements
+   * @returns {Promise} resolves once the announcement has been shown for its duration
+   */
+  announce(message, { duration, priority = 0 }) {
+    if (!(duration > 0)) throw new RangeError(`Invalid duration ${duration}`)
+
+    return new Promise(resolve => {
+      let announcement = { id: null, message: this.#message(message), duration, priority, announcement: true }
+      this.#resolvers.set(announcement, resolve)
+
+      let index = this.#announcements.findIndex(waiting => waiting.priority < priority)
+      if (index === -1) this.#announcements.push(announcement)
+      else this.#announcements.splice(index, 0, announcement)
+
+      if (this.#running && !this.#current?.entry.announcement) this.#next()
+    })
+  }
+
+  /**
+   * Start showing the playlist.
+   */
+  start() {
+    if (this.#running) return
+
+    this.#running = true
+    this.#next()
+  }
+
+  /**
+   * Stop changing the message. The message being shown remains on the display,
+   * and an announcement being shown is shown again in full when started.
+   */
+  stop() {
+    if (this.#current?.entry.announcement) this.#announcements.unshift(this.#current.entry)
+
+    this.#running = false
+    clearTimeout(this.#timer)
+    this.#timer = null
+    this.#current = null
+    this.#interrupted = null
+  }
+
+  #message(message) {
+    return message instanceof DisplayMessage ? message : DisplayMessage.fromStr(message, this.#pid.getAddress?.())
+  }
+
+  #next() {
+    clearTimeout(this.#timer)
+    this.#timer = null
+
+    let previous = this.#current
+    this.#current = null
+
+    if (previous?.entry.announcement) {
+      this.#resolvers.get(previous.entry)()
+      this.#resolvers.delete(previous.entry)
+    }
+
+    if (this.#announcements.length) {
+      if (previous && !previous.entry.announcement) {
+        let elapsed = this.#now() - previous.startedAt
+        this.#interrupted = { entry: previous.entry, remaining: Math.max(0, previous.duration - elapsed) }
+      }
+
+      let announcement = this.#announcements.shift()
+      return this.#show(announcement, announcement.duration, 'announcement')
+    }
+
+    let interrupted = this.#interrupted
+    this.#interrupted = null
+    if (interrupted && interrupted.remaining > 0 && this.#entries.includes(interrupted.entry) && this.#isTopActive(interrupted.entry)) {
+      return this.#show(interrupted.entry, interrupted.remaining, 'resume')
+    }
+
+    let entry = this.#nextEntry()
+    if (!entry) {
+      this.emit('idle')
+      this.#timer = setTimeout(() => this.#next(), this.#idleRetry)
+      return
+    }
+
+    this.#lastEntry = entry
+    this.#show(entry, entry.duration, 'playlist')
+  }
+
+  #isTopActive(entry) {
+    return this.#activeTier().includes(entry)
+  }
+
+  #activeTier() {
+    let now = this.#now()
+    let active = this.#entries.filter(entry => this.isActive(entry, now))
+    let top = Math.max(...active.map(entry => entry.priority))
+
+    return active.filter(entry => entry.priority === top)
+  }
+
+  /**
+   * The first entry of the active tier after the last one shown, in playlist order.
+   */
+  #nextEntry() {
+    let tier = this.#activeTier()
+    if (!tier.length) return null
+
+    let after = this.#entries.indexOf(this.#lastEntry)
+    return tier.find(entry => this.#entries.indexOf(entry) > after) ?? tier[0]
+  }
+
+  #show(entry, duration, reason) {
+    this.#current = { entry, duration, startedAt: this.#now() }
+    this.#timer = setTimeout(() => this.#next(), duration)
+
+    if (this.#showing === entry.message) return
+    this.#showing = entry.message
+
+    this.emit('switch', { ...entry }, reason)
+    this.#pid.send(entry.message).catch(e => {
+      this.#showing = null
+      this.emit('send-failed', e, entry)
+    })
+  }
+
+}
@@ -0,0 +1,235 @@
+import { PageAnimate } from './index.mjs'
+import { Bitmap, VirtualDisplay } from './virtual-display.mjs'
+
+/**
+  A `MessageSimulator` object plays a `DisplayMessage` over time,
+  producing the sequence of frames the display would show during one full cycle of its pages.
+
+  Each page animates as described by its `PageAnimate` value:
+
+  -   `PageAnimate.NONE` pages appear instantly, then remain for their delay.
+  -   `PageAnimate.VSCROLL` pages rise from the bottom of a cleared display one row at a time,
+      then remain for their delay once fully displayed.
+  -   `PageAnimate.HSCROLL` pages scroll in from the right one column at a time,
+      pushing the previous page out to the left,
+      and continue until the text has scrolled out of view to the left,
+      after which the display stays blank for their delay.
+
+  As the message repeats indefinitely,
+  the first page of the cycle pushes out the last page of the previous cycle.
+
+  The speeds of the animations are approximations of the physical display.
+ */
+export class MessageSimulator {
+
+  #message
+  #hscrollSpeed
+  #vscrollSpeed
+
+  /**
+   * Constructs a new MessageSimulator.
+   *
+   * @param {DisplayMessage} message the message to play
+   * @param {Object} [options]
+   * @param {number} [options.hscrollSpeed=40] the speed of `PageAnimate.HSCROLL` animations, in columns per second
+   * @param {number} [options.vscrollSpeed=20] the speed of `PageAnimate.VSCROLL` animations, in rows per second
+   */
+  constructor(message, { hscrollSpeed = 40, vscrollSpeed = 20 } = {}) {
+    this.#message = message
+    this.#hscrollSpeed = hscrollSpeed
+    this.#vscrollSpeed = vscrollSpeed
+  }
+
+  /**
+    Iterates over the frames of one full cycle of the message.
+
+    Each frame is an object holding the `Bitmap` shown,
+    the index of the page being shown,
+    the ``time`` in milliseconds since the start of the cycle at which it is shown,
+    and the ``duration`` in milliseconds for which it is shown.
+
+   * @returns {Generator<{ bitmap: Bitmap, page: int, time: number, duration: number }>}
+   */
+  *frames() {
+    let pages = this.#message.getPages()
+    let screen = this.#finalScreen(pages[pages.length - 1])
+    let time = 0
+
+    for (let [ index, page ] of pages.entries()) {
+      for (let { bitmap, duration } of this.#pageFrames(page, screen)) {
+        if (duration <= 0) continue
+
+        yield { bitmap, page: index, time, duration }
+        time += duration
+        screen = bitmap
+      }
+
+      screen = this.#finalScreen(page)
+    }
+  }
+
+  /**
+   * The time taken by one full cycle of the message.
+   *
+   * @returns {number} the duration in milliseconds
+   */
+  getDuration() {
+    let duration = 0
+    for (let frame of this.frames()) duration += frame.duration
+
+    return duration
+  }
+
+  *#pageFrames(page, previous) {
+    let delay = page.getDelay() * 1000
+    let animate = page.getAnimate().toString()
+
+    if (animate === PageAnimate.VSCROLL.toString()) {
+      let rendered = VirtualDisplay.renderPage(page)
+      let step = 1000 / this.#vscrollSpeed
+      for (let row = 1; row <= VirtualDisplay.HEIGHT; row++) {
+        let bitmap = new Bitmap(VirtualDisplay.WIDTH, VirtualDisplay.HEIGHT)
+        bitmap.draw(rendered, 0, VirtualDisplay.HEIGHT - row)
+        yield { bitmap, duration: row === VirtualDisplay.HEIGHT ? step + delay : step }
+      }
+    } else if (animate === PageAnimate.HSCROLL.toString()) {
+      let rendered = VirtualDisplay.renderPage(page, { clip: false })
+      let step = 1000 / this.#hscrollSpeed
+      let distance = VirtualDisplay.WIDTH + rendered.getWidth()
+      for (let column = 1; column <= distance; column++) {
+        let bitmap = new Bitmap(VirtualDisplay.WIDTH, VirtualDisplay.HEIGHT)
+        bitmap.draw(previous, -column, 0)
+        bitmap.draw(rendered, VirtualDisplay.WIDTH - column, 0)
+        yield { bitmap, duration: column === distance ? step + delay : step }
+      }
+    } else {
+      yield { bitmap: VirtualDisplay.renderPage(page), duration: delay }
+    }
+  }
+
+  #finalScreen(page) {
+    if (page.getAnimate().toString() === PageAnimate.HSCROLL.toString()) return new Bitmap(VirtualDisplay.WIDTH, VirtualDisplay.HEIGHT)
+    return VirtualDisplay.renderPage(page)
+  }
+
+  /**
+   * Encodes one full cycle of the message as a looping animated GIF image,
+   * with lit pixels white on black.
+   *
+   * @param {int} [scale=1] the size in the image of each pixel of the display
+   * @returns {Buffer} the GIF file
+   */
+  toGIF(scale = 1) {
+    let width = VirtualDisplay.WIDTH * scale
+    let height = VirtualDisplay.HEIGHT * scale
+
+    let header = Buffer.alloc(13)
+    header.write('GIF89a', 0, 'ascii')
+    header.writeUInt16LE(width, 6)
+    header.writeUInt16LE(height, 8)
+    header[10] = 0x80 // Global colour table of 2 colours
+
+    let parts = [
+      header,
+      Buffer.from([ 0x00, 0x00, 0x00, 0xFF, 0xFF, 0xFF ]),
+      Buffer.from([ 0x21, 0xFF, 0x0B, ...Buffer.from('NETSCAPE2.0', 'ascii'), 0x03, 0x01, 0x00, 0x00, 0x00 ]) // Loop forever
+    ]
+
+    // GIF delays are in hundredths of a second, so round the running total to avoid drift
+    let elapsed = 0
+    for (let { bitmap, time, duration } of this.frames()) {
+      let delay = Math.round((time + duration) / 10) - elapsed
+      elapsed += delay
+
+      let control = Buffer.from([ 0x21, 0xF9, 0x04, 0x00, 0x00, 0x00, 0x00, 0x00 ])
+      control.writeUInt16LE(delay, 4)
+
+      let descriptor = Buffer.alloc(10)
+      descriptor[0] = 0x2C
+      descriptor.writeUInt16LE(width, 5)
+      descriptor.writeUInt16LE(height, 7)
+
+      let pixels = new Uint8Array(width * height)
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          if (bitmap.get(Math.floor(x / scale), Math.floor(y / scale))) pixels[y * width + x] = 1
+        }
+      }
+
+      parts.push(control, descriptor, Buffer.from([ GIF_MIN_CODE_SIZE ]), subBlocks(lzwEncode(pixels)))
+    }
+
+    parts.push(Buffer.from([ 0x3B ]))
+    return Buffer.concat(parts)
+  }
+
+}
+
+const GIF_MIN_CODE_SIZE = 2
+
+/**
+ * Compresses colour indices using the variable-length LZW coding of the GIF format.
+ */
+function lzwEncode(pixels) {
+  let clearCode = 1 << GIF_MIN_CODE_SIZE
+  let endCode = clearCode + 1
+  let codeSize = GIF_MIN_CODE_SIZE + 1
+  let nextCode = endCode + 1
+  let table = new Map()
+
+  let bytes = []
+  let buffer = 0
+  let bufferSize = 0
+  let write = code => {
+    buffer |= code << bufferSize
+    bufferSize += codeSize
+    while (bufferSize >= 8) {
+      bytes.push(buffer & 0xFF)
+      buffer >>= 8
+      bufferSize -= 8
+    }
+  }
+
+  write(clearCode)
+  let current = pixels[0]
+  for (let i = 1; i < pixels.length; i++) {
+    let key = current << 8 | pixels[i]
+    if (table.has(key)) {
+      current = table.get(key)
+      continue
+    }
+
+    write(current)
+    if (nextCode === 4096) {
+      write(clearCode)
+      table.clear()
+      nextCode = endCode + 1
+      codeSize = GIF_MIN_CODE_SIZE + 1
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++
+      table.set(key, nextCode++)
+    }
+
+    current = pixels[i]
+  }
+
+  write(current)
+  write(endCode)
+  if (bufferSize > 0) bytes.push(buffer & 0xFF)
+
+  return Buffer.from(bytes)
+}
+
+/**
+ * Splits image data into the sub-blocks of at most 255 bytes used by the GIF format.
+ */
+function subBlocks(data) {
+  let blocks = []
+  for (let i = 0; i < data.length; i += 255) {
+    let block = data.subarray(i, i + 255)
+    blocks.push(Buffer.from([ block.length ]), block)
+  }
+
+  blocks.push(Buffer.from([ 0x00 ]))
+  return Buffer.concat(blocks)
+}
@@ -0,0 +1,117 @@
+import { SerialPort } from 'serialport'
+import { PacketParser } from './dlestxetx.mjs'
+import { DisplayMessage, PID, PingMessage, ResponseMessage, inspect } from './index.mjs'
+import EventEmitter from 'events'
+
+const hex = byte => `0x${byte.toString(16).padStart(2, '0')}`
+
+/**
+  A `PIDSniffer` object listens to the traffic between a controller and its displays,
+  such as a legacy controller, without ever writing to the serial port.
+
+  Both directions of traffic are read from the same port:
+  what the controller sends is read as is,
+  and what the displays send is read inverted and shifted, as a `PID` reads it.
+  Each is split into DLE/STX/ETX frames, checked against its CRC and inspected.
+
+  Every frame is emitted as a `'frame'` event with an object holding:
+
+  -   ``direction``: ``controller`` for frames sent by the controller, ``display`` for frames sent by a display;
+  -   ``time``: when the frame was read;
+  -   ``packet``: the frame, including its CRC;
+  -   ``message``: the `Message` inspected from the frame, if it could be;
+  -   ``error``: why the frame could not be inspected, if it couldn't;
+  -   ``summary``: a human-readable, one line description, as given by `PIDSniffer.summarize`.
+
+  Frames are also emitted as `'display-message'`, `'ping'` or `'response'` events
+  according to the type of their message,
+  or as `'invalid-frame'` events if they could not be inspected.
+ */
+export class PIDSniffer extends EventEmitter {
+
+  #port
+  #listener
+
+  /**
+   * Constructs a new PIDSniffer, and starts listening.
+   *
+   * @param {SerialPort} port a `serialport.SerialPort` object. In normal use a correctly configured one is set by `PIDSniffer.forDevice`.
+   */
+  constructor(port) {
+    super()
+    this.#port = port
+
+    let controller = new PacketParser()
+    controller.on('packet', packet => this.#frame('controller', packet))
+
+    let display = new PacketParser()
+    display.on('packet', packet => this.#frame('display', packet))
+
+    // Each direction is noise to the parser of the other, so noise is ignored
+    this.#listener = data => {
+      controller.write(data)
+      display.write(PID._decodeLine(data))
+    }
+    port.on('data', this.#listener)
+  }
+
+  /**
+   * Construct a `PIDSniffer` object listening to the specified serial device.
+   *
+   * @param {string} path the serial device name, such as ``/dev/ttyUSB0`` on Linux or ``COM1`` on Windows.
+   */
+  static forDevice(path) {
+    return new PIDSniffer(new SerialPort({ path, baudRate: 9600 }))
+  }
+
+  /**
+    Describes a frame in one line, such as:
+
+    -   ``controller → 0x01 DisplayMessage V10^Hello``
+    -   ``controller → 0x01 PingMessage unspecified byte 0x6f``
+    -   ``display 0x01 → ResponseMessage unspecified byte 0x09``
+    -   ``controller → invalid frame 100201…1003: Got CRC value 0000 when 3412 was expected``
+
+   * @param {Object} frame a frame, as emitted as a `'frame'` event
+   * @returns {string}
+   */
+  static summarize({ direction, packet, message, error }) {
+    if (!message) return `${direction === 'controller' ? 'controller →' : 'display →'} invalid frame ${packet.toString('hex')}: ${error.message}`
+
+    let address = hex(message.getAddress())
+    let route = direction === 'controller' ? `controller → ${address}` : `display ${address} →`
+
+    let details
+    if (message instanceof DisplayMessage) details = message.toString()
+    else if (message instanceof PingMessage || message instanceof ResponseMessage) details = `unspecified byte ${hex(message.getUnspecifiedByte())}`
+
+    return [ route, message.constructor.name, details ].filter(Boolean).join(' ')
+  }
+
+  #frame(direction, packet) {
+    let frame = { direction, time: new Date(), packet }
+
+    try {
+      frame.message = inspect(packet)
+    } catch (e) {
+      frame.error = e
+    }
+
+    frame.summary = PIDSniffer.summarize(frame)
+    this.emit('frame', frame)
+
+    if (frame.error) this.emit('invalid-frame', frame)
+    else if (frame.message instanceof DisplayMessage) this.emit('display-message', frame)
+    else if (frame.message instanceof PingMessage) this.emit('ping', frame)
+    else if (frame.message instanceof ResponseMessage) this.emit('response', frame)
+  }
+
+  /**
+   * Stop listening, and close the serial port.
+   */
+  async close() {
+    this.#port.off('data', this.#listener)
+    await new Promise(r => this.#port.close(r))
+  }
+
+}
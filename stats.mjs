@@ -0,0 +1,222 @@
+import http from 'http'
+import { verify } from './crc.mjs'
+import { decode } from './dlestxetx.mjs'
+
+/** The upper bounds in milliseconds of the buckets of the acknowledgement latency histogram. */
+export const LATENCY_BUCKETS = [ 10, 25, 50, 100, 250, 500, 1000, 2500, 5000 ]
+
+const COUNTERS = [ 'sends', 'acks', 'retries', 'timeouts', 'crcErrors', 'framingErrors' ]
+
+/**
+ * Works out why a packet received could not be inspected.
+ *
+ * @param {Buffer} packet the packet, including its framing
+ * @returns {string} ``'framingErrors'`` or ``'crcErrors'``, or ``null`` if it was framed and checksummed correctly
+ */
+export function classifyInvalidPacket(packet) {
+  let unframed
+  try {
+    unframed = decode(packet)
+  } catch (e) {
+    return 'framingErrors'
+  }
+
+  try {
+    verify(unframed)
+  } catch (e) {
+    return 'crcErrors'
+  }
+
+  return null
+}
+
+/**
+  A `PIDStats` object counts the transmissions to and from the display at an address,
+  as kept by `PID` and returned by `PID.getStats`.
+ */
+export class PIDStats {
+
+  #address
+  #counts = Object.fromEntries(COUNTERS.map(counter => [ counter, 0 ]))
+  #lastAck = null
+  #latency = { buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 }
+
+  /**
+   * @param {int} address the address of the display
+   */
+  constructor(address) {
+    this.#address = address
+  }
+
+  /**
+   * Adds one to a counter.
+   *
+   * @param {string} counter one of ``sends``, ``acks``, ``retries``, ``timeouts``, ``crcErrors`` or ``framingErrors``
+   */
+  count(counter) {
+    if (!(counter in this.#counts)) throw new RangeError(`Unknown counter ${counter}`)
+    this.#counts[counter]++
+  }
+
+  /**
+   * Records an acknowledgement.
+   *
+   * @param {number} latency the time in milliseconds between the transmission being written and acknowledged
+   * @param {Date} [time] when the acknowledgement was received
+   */
+  ack(latency, time = new Date()) {
+    this.count('acks')
+    this.#lastAck = time
+
+    LATENCY_BUCKETS.forEach((bound, i) => {
+      if (latency <= bound) this.#latency.buckets[i]++
+    })
+    this.#latency.sum += latency
+    this.#latency.count++
+  }
+
+  /**
+    The statistics as a plain object:
+    each counter, the time of the last acknowledgement (or ``null``),
+    and the acknowledgement latency histogram in milliseconds,
+    with the cumulative count of acknowledgements no slower than each bucket's bound.
+
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      address: this.#address,
+      ...this.#counts,
+      lastAck: this.#lastAck,
+      ackLatency: {
+        buckets: LATENCY_BUCKETS.map((le, i) => ({ le, count: this.#latency.buckets[i] })),
+        sum: this.#latency.sum,
+        count: this.#latency.count
+      }
+    }
+  }
+
+}
+
+const METRICS = [
+  [ 'sends', 'metlink_pid_sends_total', 'Transmissions written to the display, including retries.' ],
+  [ 'acks', 'metlink_pid_acks_total', 'Transmissions acknowledged by the display.' ],
+  [ 'retries', 'metlink_pid_retries_total', 'Transmissions resent after not being acknowledged.' ],
+  [ 'timeouts', 'metlink_pid_ack_timeouts_total', 'Transmissions not acknowledged in time.' ],
+  [ 'crcErrors', 'metlink_pid_crc_errors_total', 'Packets received with an incorrect CRC.' ],
+  [ 'framingErrors', 'metlink_pid_framing_errors_total', 'Runs of bytes received outside a packet, and incorrectly framed packets.' ]
+]
+
+/**
+ * Formats statistics in the Prometheus text exposition format.
+ *
+ * @param {Object[]} displays the statistics of each display, as returned by `PID.getStats`
+ * @param {Object} [line] the statistics of a shared serial line, as returned by `PIDBus.getStats`, labelled ``address="line"``
+ * @returns {string}
+ */
+export function formatPrometheus(displays, line) {
+  let series = [ ...displays ]
+  if (line) series.push({ address: 'line', crcErrors: line.crcErrors, framingErrors: line.framingErrors })
+
+  let lines = []
+  let label = stats => `address="${stats.address}"`
+
+  for (let [ key, name, help ] of METRICS) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} counter`)
+    for (let stats of series) {
+      if (key in stats) lines.push(`${name}{${label(stats)}} ${stats[key]}`)
+    }
+  }
+
+  lines.push(
+    '# HELP metlink_pid_last_ack_timestamp_seconds When the display last acknowledged a transmission.',
+    '# TYPE metlink_pid_last_ack_timestamp_seconds gauge'
+  )
+  for (let stats of displays) {
+    if (stats.lastAck) lines.push(`metlink_pid_last_ack_timestamp_seconds{${label(stats)}} ${stats.lastAck.getTime() / 1000}`)
+  }
+
+  lines.push(
+    '# HELP metlink_pid_ack_latency_seconds Time taken by the display to acknowledge a transmission.',
+    '# TYPE metlink_pid_ack_latency_seconds histogram'
+  )
+  for (let stats of displays) {
+    let { buckets, sum, count } = stats.ackLatency
+    for (let { le, count } of buckets) lines.push(`metlink_pid_ack_latency_seconds_bucket{${label(stats)},le="${le / 1000}"} ${count}`)
+    lines.push(
+      `metlink_pid_ack_latency_seconds_bucket{${label(stats)},le="+Inf"} ${count}`,
+      `metlink_pid_ack_latency_seconds_sum{${label(stats)}} ${sum / 1000}`,
+      `metlink_pid_ack_latency_seconds_count{${label(stats)}} ${count}`
+    )
+  }
+
+  return lines.join('\n') + '\n'
+}
+
+/**
+  A `StatsExporter` object serves the statistics of a `PID`, several `PID` objects, or a `PIDBus`
+  in the Prometheus text format at ``GET /metrics``, for scraping by Prometheus.
+ */
+export class StatsExporter {
+
+  #source
+  #server = null
+
+  /**
+   * Constructs a new StatsExporter.
+   *
+   * @param {PID|PID[]|PIDBus} source the displays to export the statistics of
+   */
+  constructor(source) {
+    this.#source = source
+  }
+
+  /**
+   * @returns {string} the statistics in the Prometheus text format
+   */
+  metrics() {
+    let source = this.#source
+    if (Array.isArray(source)) return formatPrometheus(source.map(pid => pid.getStats()))
+
+    let stats = source.getStats()
+    if (stats.displays) return formatPrometheus(stats.displays, stats)
+
+    return formatPrometheus([ stats ])
+  }
+
+  /**
+   * Start accepting HTTP requests.
+   *
+   * @param {Object} [options]
+   * @param {int} [options.port=0] the port to listen on, or ``0`` for any free port.
+   * @param {string} [options.host] the address to listen on. Defaults to all addresses.
+   * @returns {Promise<int>} the port being listened on
+   */
+  async listen({ port = 0, host } = {}) {
+    this.#server = http.createServer((req, res) => {
+      if (new URL(req.url, 'http://localhost').pathname !== '/metrics') {
+        res.writeHead(404).end()
+      } else if (req.method !== 'GET') {
+        res.writeHead(405, { Allow: 'GET' }).end()
+      } else {
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' }).end(this.metrics())
+      }
+    })
+
+    await new Promise((resolve, reject) => {
+      this.#server.once('error', reject)
+      this.#server.listen(port, host, resolve)
+    })
+
+    return this.#server.address().port
+  }
+
+  async close() {
+    if (!this.#server) return
+
+    this.#server.closeAllConnections()
+    await new Promise(r => this.#server.close(r))
+    this.#server = null
+  }
+
+}
@@ -0,0 +1,213 @@
+import { SerialPort } from 'serialport'
+import EventEmitter from 'events'
+
+/**
+  A `SupervisedPort` object keeps a serial port open,
+  reopening it whenever it closes or fails,
+  such as when the USB adapter is unplugged or re-enumerates.
+
+  It can be passed to the `PID` constructor in place of a `serialport.SerialPort`,
+  and `PID.forDevice` uses one when given the ``supervise`` option.
+  The port can be given by path, or found by the USB vendor id, product id and serial number of the adapter,
+  which stay the same when its path changes.
+  Retries wait ``retryDelay`` milliseconds, doubling each time up to ``maxRetryDelay``.
+
+  Writes fail while the port is not connected.
+  While the port is opening, a `PID` waits for it to connect, or fail to, before writing,
+  much as a `serialport.SerialPort` queues writes while it opens.
+
+  Emits a `'connected'` event with the path whenever the port is opened,
+  a `'disconnected'` event with the error, if any, whenever it is lost,
+  a `'connect-failed'` event with the error whenever an attempt to open it fails,
+  `'data'` events with the data read from it,
+  and a `'close'` event once closed.
+ */
+export class SupervisedPort extends EventEmitter {
+
+  #path
+  #match
+  #baudRate
+  #retryDelay
+  #maxRetryDelay
+  #openPort
+  #listPorts
+
+  #port = null
+  #listeners = null
+  #portPath = null
+  #state = 'disconnected'
+  #attempt = 0
+  #timer = null
+
+  /**
+   * Constructs a new SupervisedPort, and starts opening the port.
+   *
+   * @param {Object} options
+   * @param {string} [options.path] the serial device name, such as ``/dev/ttyUSB0``. Not needed if the port is found by USB ids.
+   * @param {string} [options.vendorId] the USB vendor id of the adapter, such as ``0403``
+   * @param {string} [options.productId] the USB product id of the adapter, such as ``6001``
+   * @param {string} [options.serialNumber] the serial number of the adapter, to tell apart adapters of the same type
+   * @param {int} [options.baudRate=9600]
+   * @param {number} [options.retryDelay=1000] the time in milliseconds to wait before the first retry
+   * @param {number} [options.maxRetryDelay=30000] the longest time in milliseconds to wait between retries
+   * @param {Function} [options.openPort] opens a port given `serialport.SerialPort` options, for testing
+   * @param {Function} [options.listPorts] lists the ports as `serialport.SerialPort.list` does, for testing
+   */
+  constructor({
+    path,
+    vendorId,
+    productId,
+    serialNumber,
+    baudRate = 9600,
+    retryDelay = 1000,
+    maxRetryDelay = 30000,
+    openPort = options => new SerialPort(options),
+    listPorts = () => SerialPort.list()
+  }) {
+    super()
+
+    let match = Object.entries({ vendorId, productId, serialNumber }).filter(([ , value ]) => value !== undefined)
+    if (!path && !match.length) throw new TypeError('A path or USB ids are needed to find the port')
+
+    this.#path = path
+    this.#match = match
+    this.#baudRate = baudRate
+    this.#retryDelay = retryDelay
+    this.#maxRetryDelay = maxRetryDelay
+    this.#openPort = openPort
+    this.#listPorts = listPorts
+
+    this.#connect()
+  }
+
+  /**
+   * @returns {string} ``'connecting'``, ``'connected'``, ``'disconnected'`` (waiting to retry) or ``'closed'``
+   */
+  getState() { return this.#state }
+
+  /**
+   * @returns {string} the path of the port last opened, or ``null``
+   */
+  getPath() { return this.#portPath }
+
+  get isOpen() { return this.#state === 'connected' }
+
+  /**
+   * Finds the path of the port by its USB ids, or uses the path given.
+   */
+  async #resolvePath() {
+    if (!this.#match.length) return this.#path
+
+    let ports = await this.#listPorts()
+    let found = ports.find(port => this.#match.every(([ key, value ]) => String(port[key] ?? '').toLowerCase() === String(value).toLowerCase()))
+    if (found) return found.path
+    if (this.#path) return this.#path
+
+    throw new Error(`No port found with ${this.#match.map(([ key, value ]) => `${key} ${value}`).join(', ')}`)
+  }
+
+  async #connect() {
+    this.#timer = null
+    this.#state = 'connecting'
+
+    let port
+    try {
+      let path = await this.#resolvePath()
+      if (this.#state === 'closed') return
+
+      port = this.#openPort({ path, baudRate: this.#baudRate })
+      if (!port.isOpen) {
+        await new Promise((resolve, reject) => {
+          port.once('open', resolve)
+          port.once('error', reject)
+        })
+      }
+
+      this.#portPath = path
+    } catch (e) {
+      if (this.#state === 'closed') return
+
+      this.emit('connect-failed', e)
+      return this.#retry()
+    }
+
+    if (this.#state === 'closed') return port.close()
+
+    this.#port = port
+    this.#attempt = 0
+    this.#state = 'connected'
+
+    this.#listeners = {
+      data: data => this.emit('data', data),
+      error: e => this.#lost(port, e),
+      close: e => this.#lost(port, e)
+    }
+    for (let [ event, listener ] of Object.entries(this.#listeners)) port.on(event, listener)
+
+    this.emit('connected', this.#portPath)
+  }
+
+  #lost(port, error) {
+    if (port !== this.#port) return
+
+    this.#detach()
+    if (port.isOpen) port.close()
+
+    this.#state = 'disconnected'
+    this.emit('disconnected', error ?? null)
+    this.#retry()
+  }
+
+  /**
+   * Stops listening to the current port, ignoring any further errors from it.
+   */
+  #detach() {
+    let port = this.#port
+    for (let [ event, listener ] of Object.entries(this.#listeners)) port.off(event, listener)
+    port.on('error', () => {})
+
+    this.#port = null
+    this.#listeners = null
+  }
+
+  #retry() {
+    this.#state = 'disconnected'
+    let delay = Math.min(this.#retryDelay * 2 ** this.#attempt++, this.#maxRetryDelay)
+    this.#timer = setTimeout(() => this.#connect(), delay)
+  }
+
+  write(data) {
+    if (!this.#port) throw new Error('Port is not connected')
+    return this.#port.write(data)
+  }
+
+  drain(callback) {
+    if (this.#port) this.#port.drain(callback)
+    else setImmediate(callback)
+  }
+
+  /**
+   * Close the port and stop reopening it.
+   */
+  close(callback) {
+    this.#state = 'closed'
+    clearTimeout(this.#timer)
+    this.#timer = null
+
+    let port = this.#port
+    if (!port) {
+      setImmediate(() => {
+        this.emit('close')
+        if (callback) callback()
+      })
+      return
+    }
+
+    this.#detach()
+    port.close(() => {
+      this.emit('close')
+      if (callback) callback()
+    })
+  }
+
+}
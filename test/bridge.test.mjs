@@ -0,0 +1,180 @@
+import { expect } from 'chai'
+import net from 'net'
+import { networkInterfaces } from 'os'
+import { PIDServer, RemotePID } from '../bridge.mjs'
+import { MockPIDDevice } from '../mock-device.mjs'
+import { AckTimeoutError, DisplayMessage, PID, PIDValidationError, PingMessage, ResponseMessage } from '../index.mjs'
+
+describe('The PIDServer class', () => {
+  let device, server
+
+  beforeEach(() => {
+    device = new MockPIDDevice()
+    server = new PIDServer(new PID(device, false, 0x01, { ackTimeout: 20 }))
+  })
+
+  afterEach(() => server.close())
+
+  it('Should send strings, hex and JSON pages', async () => {
+    expect(await server.handle('SEND V^Hello|World')).to.match(/^OK 0152/)
+    expect(await server.handle(`HEX ${DisplayMessage.fromStr('Hex', 0x01).toBytes().toString('hex')}`)).to.match(/^OK /)
+    expect(await server.handle('JSON {"pages":[{"lines":["Json"]},{"animate":"NONE","delay":3,"lines":["Page"]}]}')).to.match(/^OK /)
+    expect(await server.handle('JSON [{"text":"Json"},{"animate":"N","delay":3,"text":"Page"}]')).to.match(/^OK /)
+    expect(await server.handle('PING')).to.match(/^OK /)
+
+    let received = device.getReceived()
+    expect(received.slice(0, 4).map(message => message.toString())).to.deep.equal([
+      'V10^Hello|H0^World',
+      'V10^Hex',
+      'V10^Json|N3^Page',
+      'V10^Json|N3^Page'
+    ])
+    expect(received[4]).to.be.instanceOf(PingMessage)
+  })
+
+  it('Should reply with errors', async () => {
+    device.dropAcks()
+
+    let timeout = JSON.parse((await server.handle('SEND Hello')).replace(/^ERR /, ''))
+    expect(timeout).to.deep.include({ name: 'AckTimeoutError', address: 0x01, timeout: 20 })
+
+    let invalid = JSON.parse((await server.handle('JSON {"pages":[{"lines":["Ok"]},{"lines":["Bad ¬"]}]}')).replace(/^ERR /, ''))
+    expect(invalid).to.deep.include({ name: 'PIDValidationError', field: 'text', page: 1, position: 4 })
+
+    let legacy = JSON.parse((await server.handle('JSON [{"text":"Ok"},{"text":"Bad ¬"}]')).replace(/^ERR /, ''))
+    expect(legacy).to.deep.include({ name: 'PIDValidationError', field: 'text', page: 1, position: 4 })
+
+    expect(await server.handle('DANCE')).to.match(/^ERR .*Unknown command DANCE/)
+  })
+
+  it('Should reply with an error to invalid hex without writing it', async () => {
+    for (let hex of [ 'not-hex', '014', '' ]) {
+      expect(await server.handle(`HEX ${hex}`)).to.match(/^ERR .*Invalid hex/)
+    }
+
+    expect(device.getReceived()).to.be.empty
+    expect(device.getInvalid()).to.be.empty
+  })
+
+  it('Should answer commands over TCP in order', async () => {
+    let port = await server.listen({ host: '127.0.0.1' })
+    let socket = net.connect(port, '127.0.0.1')
+
+    let lines = await new Promise(resolve => {
+      let data = ''
+      socket.setEncoding('utf8')
+      socket.on('data', chunk => {
+        data += chunk
+        if (data.split('\n').length > 3) resolve(data.split('\n').slice(0, 3))
+      })
+      socket.write('SEND One\r\nDANCE\nPI')
+      socket.write('NG\n')
+    })
+
+    socket.destroy()
+    expect(lines[0]).to.match(/^OK /)
+    expect(lines[1]).to.match(/^ERR /)
+    expect(lines[2]).to.match(/^OK /)
+  })
+
+  it('Should only listen on the loopback interface by default', async function () {
+    let external = Object.values(networkInterfaces()).flat().find(({ family, internal }) => family === 'IPv4' && !internal)
+    if (!external) this.skip()
+
+    let port = await server.listen()
+    let socket = net.connect(port, external.address)
+    let error = await new Promise(resolve => {
+      socket.once('connect', () => resolve(null))
+      socket.once('error', resolve)
+    })
+
+    socket.destroy()
+    expect(error?.code).to.equal('ECONNREFUSED')
+  })
+
+  it('Should disconnect a client sending a line that is too long', async () => {
+    let port = await server.listen()
+    let socket = net.connect(port, '127.0.0.1')
+    let errors = []
+    server.on('connection-error', err => errors.push(err))
+
+    socket.write('SEND ' + 'A'.repeat(PIDServer.MAX_LINE_LENGTH))
+    await new Promise(resolve => socket.once('close', resolve))
+
+    expect(errors[0].message).to.match(/Line longer than/)
+    expect(device.getReceived()).to.be.empty
+  })
+})
+
+describe('The RemotePID class', () => {
+  let device, server
+
+  beforeEach(() => {
+    device = new MockPIDDevice({ responseDelay: 5 })
+    server = new PIDServer(new PID(device, false, 0x01, { ackTimeout: 50 }))
+  })
+
+  afterEach(() => server.close())
+
+  for (let transport of [ 'tcp', 'ws' ]) {
+    it(`Should control a display over ${transport === 'ws' ? 'a WebSocket' : 'TCP'}`, async () => {
+      let port = transport === 'ws'
+        ? await server.listenWebSocket({ port: 0, host: '127.0.0.1' })
+        : await server.listen({ host: '127.0.0.1' })
+      let pid = await RemotePID.connect(`${transport}://127.0.0.1:${port}`)
+
+      let responses = [
+        await pid.send('V^Hello'),
+        await pid.send(DisplayMessage.fromStr('N^Message', 0x01)),
+        await pid.send({ pages: [ { animate: 'HSCROLL', delay: 0, lines: [ 'Pages' ] } ] }),
+        await pid.send([ { animate: 'H', delay: 0, text: 'Pages' } ]),
+        await pid.send(new PingMessage(0x6F, 0x01)),
+        await pid.ping()
+      ]
+
+      expect(responses.every(response => response instanceof ResponseMessage)).to.be.true
+      let received = device.getReceived()
+      expect(received.slice(0, 4).map(message => message.toString())).to.deep.equal([ 'V10^Hello', 'N10^Message', 'H0^Pages', 'H0^Pages' ])
+      expect(received.slice(4).every(message => message instanceof PingMessage)).to.be.true
+      expect(received).to.have.length(6)
+
+      device.dropAcks()
+      expect(await pid.send('Lost').catch(e => e)).to.be.instanceOf(AckTimeoutError)
+      expect(await pid.send('Bad ¬').catch(e => e)).to.be.instanceOf(PIDValidationError)
+
+      await pid.close()
+    })
+  }
+
+  it('Should reject a send answered by a reply it cannot understand', async () => {
+    let fake = net.createServer(socket => {
+      socket.setEncoding('utf8')
+      socket.on('data', data => {
+        if (data.startsWith('SEND Bad')) socket.write('ERR {oops\n')
+        else if (data.startsWith('SEND Odd')) socket.write('WHAT\n')
+        else socket.write('OK 01520900\n')
+      })
+    })
+    await new Promise(resolve => fake.listen(0, '127.0.0.1', resolve))
+    let pid = await RemotePID.connect(`tcp://127.0.0.1:${fake.address().port}`)
+
+    expect(await pid.send('Bad').catch(e => e)).to.be.instanceOf(SyntaxError)
+    expect(await pid.send('Odd').catch(e => e)).to.match(/Unexpected reply WHAT/)
+    expect(await pid.send('Good')).to.be.instanceOf(ResponseMessage)
+
+    await pid.close()
+    await new Promise(resolve => fake.close(resolve))
+  })
+
+  it('Should reject waiting sends when the connection closes', async () => {
+    let port = await server.listen({ host: '127.0.0.1' })
+    let pid = await RemotePID.connect(`tcp://127.0.0.1:${port}`)
+
+    device.dropAcks()
+    let sent = pid.send('Hello').catch(e => e)
+    await new Promise(r => setTimeout(r, 5))
+    await server.close()
+
+    expect((await sent).message).to.match(/closed/)
+  })
+})
@@ -0,0 +1,118 @@
+import { expect } from 'chai'
+import EventEmitter from 'events'
+import { PIDBus } from '../bus.mjs'
+import { AckTimeoutError, PID, ResponseMessage, inspect } from '../index.mjs'
+import { encode } from '../dlestxetx.mjs'
+import { crc } from '../crc.mjs'
+
+const sleep = ms => new Promise(r => setTimeout(r, ms))
+
+// Response bytes for each address whose packet only contains bytes the line can carry
+const RESPONSE_BYTES = { 1: 0x09, 2: 0x08, 3: 0x09 }
+
+class FakeLine extends EventEmitter {
+  written = []
+  online = new Set([ 1, 2, 3 ])
+  ackDelay = 5
+
+  write(data) {
+    let address = inspect(data).getAddress()
+    this.written.push(address)
+    if (this.online.has(address)) setTimeout(() => this.reply([ address, 0x52, RESPONSE_BYTES[address], 0x00 ]), this.ackDelay)
+  }
+
+  drain(callback) { setImmediate(callback) }
+  close(callback) { setImmediate(callback) }
+
+  reply(bytes) {
+    this.emit('data', PID._encodeLine(encode(Buffer.from([ ...bytes, ...crc(bytes) ]))))
+  }
+}
+
+describe('The PIDBus class', () => {
+  it('Should hand out one PID per address', () => {
+    let bus = new PIDBus(new FakeLine())
+
+    expect(bus.pid(1)).to.be.instanceOf(PID)
+    expect(bus.pid(1)).to.equal(bus.pid(1))
+    expect(bus.pid(2)).to.not.equal(bus.pid(1))
+    expect(bus.getAddresses()).to.deep.equal([ 1, 2 ])
+  })
+
+  it('Should route responses to the PID with the matching address', async () => {
+    let line = new FakeLine()
+    let bus = new PIDBus(line)
+    let received = { 1: [], 2: [] }
+    bus.pid(1).on('message', message => received[1].push(message))
+    bus.pid(2).on('message', message => received[2].push(message))
+
+    let response = await bus.pid(2).send('Platform 2')
+    expect(response).to.be.instanceOf(ResponseMessage)
+    expect(response.getAddress()).to.equal(2)
+    expect(received[1].length).to.equal(0)
+    expect(received[2].length).to.equal(1)
+  })
+
+  it('Should only write to one display at a time', async () => {
+    let line = new FakeLine()
+    let bus = new PIDBus(line)
+
+    let sends = [ bus.pid(1).send('A'), bus.pid(2).send('B'), bus.pid(3).send('C') ]
+    await sleep(2)
+    expect(line.written).to.deep.equal([ 1 ])
+
+    await Promise.all(sends)
+    expect(line.written).to.deep.equal([ 1, 2, 3 ])
+  })
+
+  it('Should release the line when a display does not respond', async () => {
+    let line = new FakeLine()
+    line.online.delete(1)
+    let bus = new PIDBus(line)
+
+    let [ error, response ] = await Promise.all([
+      bus.pid(1, { ackTimeout: 10 }).send('A').catch(e => e),
+      bus.pid(2).send('B')
+    ])
+
+    expect(error).to.be.instanceOf(AckTimeoutError)
+    expect(response.getAddress()).to.equal(2)
+    expect(line.written).to.deep.equal([ 1, 2 ])
+  })
+
+  it('Should hold the line for the timeout given to each send', async () => {
+    let line = new FakeLine()
+    line.ackDelay = 40
+    let bus = new PIDBus(line)
+
+    let sends = [ bus.pid(1, { ackTimeout: 10 }).send('A', { timeout: 200 }), bus.pid(2).send('B') ]
+    await sleep(25)
+    expect(line.written).to.deep.equal([ 1 ])
+
+    let [ first ] = await Promise.all(sends)
+    expect(first.getAddress()).to.equal(1)
+    expect(line.written).to.deep.equal([ 1, 2 ])
+  })
+
+  it('Should release the line when a display responds before the write is drained', async () => {
+    let line = new FakeLine()
+    line.ackDelay = 0
+    line.drain = callback => setTimeout(callback, 20)
+    let bus = new PIDBus(line)
+
+    let started = performance.now()
+    await Promise.all([ bus.pid(1, { ackTimeout: 200 }).send('A'), bus.pid(2, { ackTimeout: 200 }).send('B') ])
+
+    expect(performance.now() - started).to.be.below(150)
+    expect(line.written).to.deep.equal([ 1, 2 ])
+  })
+
+  it('Should forget a PID once it is closed', async () => {
+    let bus = new PIDBus(new FakeLine())
+    let pid = bus.pid(1)
+
+    await pid.close()
+    expect(bus.getAddresses()).to.deep.equal([])
+    expect(bus.pid(1)).to.not.equal(pid)
+  })
+})
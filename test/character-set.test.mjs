@@ -0,0 +1,163 @@
+import { expect } from 'chai'
+import { CharacterSet, DisplayMessage, Page, PageAnimate, PID, PIDValidationError, inspect } from '../index.mjs'
+import { DepartureTemplate } from '../departure.mjs'
+import { MockPIDDevice } from '../mock-device.mjs'
+import { VirtualDisplay } from '../virtual-display.mjs'
+
+describe('The CharacterSet class', () => {
+  describe('The standard character set', () => {
+    let characterSet = CharacterSet.standard()
+
+    it('Should encode and decode the characters every display can show', () => {
+      expect(characterSet.encode('Hi █')).to.deep.equal([ 0x48, 0x69, 0x20, 0x5F ])
+      expect(characterSet.decode([ 0x48, 0x69, 0x22, 0xA5, 0x00 ])).to.equal('Hi\'▔�')
+      expect(characterSet.width('Hi •')).to.equal(6 + 4 + 4 + 3)
+    })
+
+    it('Should reject characters it cannot show', () => {
+      expect(characterSet.canEncode('"')).to.be.false
+      expect(() => characterSet.encode('"50%"')).to.throw(PIDValidationError, /", % not in allowed characters/)
+      expect(() => characterSet.width('@')).to.throw(RangeError, /Unknown width for character @/)
+    })
+
+    it('Should be what Page uses by default', () => {
+      expect(Page._TEXT_ENCODING).to.deep.equal(characterSet.getEncoding())
+      expect(Page._TEXT_DECODING).to.deep.equal(characterSet.getDecoding())
+      expect(Page._WIDTHS_BY_CHAR['I']).to.equal(4)
+    })
+  })
+
+  describe('The register method', () => {
+    it('Should add glyphs from the display\'s code page', () => {
+      let characterSet = CharacterSet.standard()
+        .register(0xB0, '°', 4)
+        .register(0xB1, '→', 6)
+        .register(0xB2, '°', undefined, { decodeOnly: true })
+
+      expect(characterSet.encode('20°→')).to.deep.equal([ 0x32, 0x30, 0xB0, 0xB1 ])
+      expect(characterSet.decode([ 0xB0, 0xB2 ])).to.equal('°°')
+      expect(characterSet.width('°→')).to.equal(10)
+      expect(characterSet.byteWidth(0xB1)).to.equal(6)
+    })
+
+    it('Should stop encoding a character whose byte is given to another', () => {
+      let characterSet = CharacterSet.standard().register(0x41, 'é', 6)
+
+      expect(characterSet.canEncode('A')).to.be.false
+      expect(() => characterSet.encode('A')).to.throw(PIDValidationError, /A not in allowed characters/)
+      expect(characterSet.encode('é')).to.deep.equal([ 0x41 ])
+      expect(characterSet.decode([ 0x41 ])).to.equal('é')
+      expect(characterSet.getWidths()).to.not.have.property('A')
+
+      characterSet.register(0x22, 'A', undefined, { decodeOnly: true })
+      expect(characterSet.decode([ 0x22 ])).to.equal('A')
+      expect(characterSet.canEncode('A')).to.be.false
+    })
+
+    it('Should reject bytes and characters with special meaning', () => {
+      let characterSet = new CharacterSet()
+
+      expect(() => characterSet.register(0x0A, 'x', 6)).to.throw(RangeError, /Byte 10 cannot be used/)
+      expect(() => characterSet.register(0x100, 'x', 6)).to.throw(RangeError)
+      expect(() => characterSet.register(0xB0, '~', 6)).to.throw(RangeError, /~ cannot be used/)
+      expect(() => characterSet.register(0xB0, 'xy', 6)).to.throw(RangeError)
+      expect(() => characterSet.register(0xB0, 'x', 0)).to.throw(RangeError, /Invalid width/)
+    })
+
+    it('Should allow characters of unknown width, which cannot be measured', () => {
+      let characterSet = new CharacterSet().register(0xB0, 'x')
+
+      expect(characterSet.encode('x')).to.deep.equal([ 0xB0 ])
+      expect(characterSet.getWidths()).to.deep.equal({})
+      expect(characterSet.canMeasure('x')).to.be.false
+      expect(() => characterSet.width('x')).to.throw(RangeError, /Unknown width for character x/)
+      expect(characterSet.width('xx', 6)).to.equal(12)
+    })
+  })
+
+  describe('The transliterate method', () => {
+    let characterSet = CharacterSet.standard({ transliterations: CharacterSet.TRANSLITERATIONS })
+
+    it('Should replace characters that cannot be shown', () => {
+      expect(characterSet.transliterate('"Café" @ Ngāuranga — 50%')).to.equal('\'\'Cafe\'\' at Ngauranga - 50 percent')
+      expect(characterSet.encode('@')).to.deep.equal([ 0x61, 0x74 ])
+      expect(characterSet.width('é')).to.equal(6)
+    })
+
+    it('Should leave characters it cannot replace and reserved characters alone', () => {
+      expect(characterSet.transliterate('a_b~c ★')).to.equal('a_b~c ★')
+      expect(() => characterSet.encode('★')).to.throw(PIDValidationError)
+    })
+
+    it('Should not transliterate unless enabled', () => {
+      expect(CharacterSet.standard().transliterate('Café')).to.equal('Café')
+    })
+  })
+
+  describe('Using another character set for pages', () => {
+    let standard = Page.characterSet
+
+    afterEach(() => {
+      Page.characterSet = standard
+    })
+
+    it('Should encode registered glyphs', () => {
+      Page.characterSet = CharacterSet.standard().register(0xB0, '°', 4)
+
+      let page = new Page(PageAnimate.NONE, 0, '20°')
+      expect([ ...page.toBytes() ]).to.deep.equal([ 0x00, 0x00, 0x00, 0x00, 0x32, 0x30, 0xB0 ])
+      expect(Page.fromBytes(page.toBytes()).getText()).to.equal('20°')
+    })
+
+    it('Should transliterate text instead of rejecting it', () => {
+      Page.characterSet = CharacterSet.standard({ transliterations: CharacterSet.TRANSLITERATIONS })
+
+      expect(Page.validate(PageAnimate.NONE, 0, 'Café [closed]')).to.be.empty
+      expect(DisplayMessage.fromStr('Café [closed]_@ Petone').getPages()[0].getText()).to.equal('Cafe (closed)_at Petone')
+      expect(new DepartureTemplate().render({ scheduled: '12:34', destination: 'Ngāuranga', disruption: '"Bus" replacement' }).toString())
+        .to.equal('V10^12:34 NGAURANGA|H0^\'\'Bus\'\' replacement')
+    })
+  })
+
+  describe('Using a character set for some pages only', () => {
+    let degrees = CharacterSet.standard().register(0xB0, '°', 4)
+
+    it('Should encode and decode pages with the character set they are given', () => {
+      let page = new Page(PageAnimate.NONE, 0, '20°~C', degrees)
+
+      expect(page.getCharacterSet()).to.equal(degrees)
+      expect(page.layout().lines[0].width).to.equal(6 + 5 + 4 + Page._RIGHT_GAP + 6)
+      expect(Page.fromBytes(page.toBytes(), degrees).getText()).to.equal('20°~C')
+      expect(Page.fromBytes(page.toBytes()).getText()).to.equal('20\uFFFD~C')
+      expect(() => new Page(PageAnimate.NONE, 0, '20°')).to.throw(PIDValidationError)
+      expect(Page.characterSet.canEncode('°')).to.be.false
+    })
+
+    it('Should build messages with the character set they are given', () => {
+      let message = DisplayMessage.fromStr('20°|N^30°', 0x01, degrees)
+
+      expect(message.getPages().every(page => page.getCharacterSet() === degrees)).to.be.true
+      expect(DisplayMessage.validate('20°', degrees)).to.be.empty
+      expect(DisplayMessage.validate('20°')).to.have.lengthOf(1)
+      expect(DisplayMessage.fromJSON({ pages: [ { lines: [ '20°' ] } ] }, 0x01, degrees).toString()).to.equal('V10^20°')
+      expect(DisplayMessage.fit('It is 20° outside', { characterSet: degrees }).toString()).to.equal('V10^It is 20° outside')
+      expect(inspect(message.toBytes(), undefined, degrees).toString()).to.equal('V10^20°|N0^30°')
+      expect(VirtualDisplay.renderPage(message.getPages()[0]).toArray()).to.deep.equal(
+        VirtualDisplay.renderPage(message.getPages()[0].toBytes(), { characterSet: degrees }).toArray())
+    })
+
+    it('Should send strings with the character set of the PID', async () => {
+      let pid = new PID(new MockPIDDevice(), false, 0x01, { characterSet: degrees })
+      let sent = []
+      pid.on('frame', (direction, packet) => {
+        if (direction === 'out') sent.push(inspect(packet, undefined, degrees))
+      })
+
+      await pid.send('20°')
+      await pid.close()
+
+      expect(pid.getCharacterSet()).to.equal(degrees)
+      expect(sent.map(message => message.toString())).to.deep.equal([ 'V10^20°' ])
+    })
+  })
+})
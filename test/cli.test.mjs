@@ -0,0 +1,134 @@
+import { expect } from 'chai'
+import { main, parseDuration } from '../cli.mjs'
+import { MockPIDDevice } from '../mock-device.mjs'
+import { DisplayMessage, PID, PingMessage } from '../index.mjs'
+
+class Output {
+  text = ''
+  write(chunk) { this.text += chunk }
+}
+
+async function run(args, io = {}) {
+  let stdout = new Output()
+  let stderr = new Output()
+  let code = await main(args, { stdout, stderr, ...io })
+
+  return { code, stdout: stdout.text, stderr: stderr.text }
+}
+
+describe('The metlink-pid command', () => {
+  let device, opened
+
+  beforeEach(() => {
+    device = new MockPIDDevice({ addresses: [ 0x01, 0x02 ] })
+    opened = []
+  })
+
+  let openPID = (port, ignoreResponses, address, options) => {
+    opened.push({ port, ignoreResponses, address, options })
+    return new PID(device, ignoreResponses, address, options)
+  }
+
+  it('Should send a message', async () => {
+    let { code, stdout } = await run([ 'send', '/dev/ttyUSB0', 'V^Hello|World', '--address', '2', '-t', '50ms' ], { openPID })
+
+    expect(code).to.equal(0)
+    expect(stdout).to.equal('Sent V10^Hello|H0^World\n')
+    expect(opened).to.deep.equal([ { port: '/dev/ttyUSB0', ignoreResponses: false, address: 2, options: { ackTimeout: 50, retries: 0 } } ])
+    expect(device.getReceived()[0].getAddress()).to.equal(2)
+    expect(device.isOpen).to.be.false
+  })
+
+  it('Should fail when the display does not acknowledge', async () => {
+    device.dropAcks()
+    let { code, stderr } = await run([ 'send', 'COM1', 'Hello', '--timeout', '10ms' ], { openPID })
+
+    expect(code).to.equal(1)
+    expect(stderr).to.match(/^AckTimeoutError: /)
+  })
+
+  it('Should fail when the port cannot be opened', async () => {
+    device.dropAcks()
+    let failingOpen = (...args) => {
+      let pid = openPID(...args)
+      setImmediate(() => device.emit('error', new Error('Error: No such file or directory, cannot open /dev/ttyNOPE')))
+      return pid
+    }
+
+    let { code, stderr } = await run([ 'send', '/dev/ttyNOPE', 'Hello' ], { openPID: failingOpen })
+
+    expect(code).to.equal(1)
+    expect(stderr).to.equal('Error: Error: No such file or directory, cannot open /dev/ttyNOPE\n')
+    expect(device.isOpen).to.be.false
+  })
+
+  it('Should ping repeatedly until stopped', async () => {
+    let controller = new AbortController()
+    device.on('message', () => {
+      if (device.getReceived().length === 3) controller.abort()
+    })
+
+    let { code, stdout } = await run([ 'ping', 'COM1', '--every', '10ms' ], { openPID, signal: controller.signal })
+
+    expect(code).to.equal(0)
+    expect(stdout.match(/Pinged at/g).length).to.equal(3)
+    expect(device.getReceived().every(message => message instanceof PingMessage)).to.be.true
+  })
+
+  it('Should decode packets and payloads', async () => {
+    let payload = DisplayMessage.fromStr('V^12:34 Hello_Express|H0^World', 0x01).toBytes()
+    let { stdout: encoded } = await run([ 'encode', 'V^12:34 Hello_Express|H0^World' ])
+
+    for (let hex of [ encoded.trim(), payload.toString('hex') ]) {
+      let { code, stdout } = await run([ 'decode', hex ])
+      expect(code).to.equal(0)
+      expect(stdout).to.equal([
+        'DisplayMessage for address 1',
+        '  Page 1: animate=V delay=10 text="12:34 Hello_Express"',
+        '  Page 2: animate=H delay=0 text="World"',
+        '  String: V10^12:34 Hello_Express|H0^World',
+        ''
+      ].join('\n'))
+    }
+  })
+
+  it('Should encode a framed packet', async () => {
+    let { stdout } = await run([ 'encode', 'Hi', '-a', '0x02' ])
+
+    expect(stdout).to.match(/^1002024400[0-9a-f]+1003\n$/)
+  })
+
+  it('Should report bad packets', async () => {
+    let { code, stderr } = await run([ 'decode', '1002014400ffff1003' ])
+
+    expect(code).to.equal(1)
+    expect(stderr).to.match(/^CRCError: Got CRC value/)
+  })
+
+  it('Should list serial ports', async () => {
+    let listPorts = async () => [
+      { path: '/dev/ttyUSB0', manufacturer: 'FTDI', vendorId: '0403', productId: '6001' },
+      { path: '/dev/ttyS0' }
+    ]
+    let { stdout } = await run([ 'list-ports' ], { listPorts })
+
+    expect(stdout).to.equal('/dev/ttyUSB0\tFTDI (0403:6001)\n/dev/ttyS0\n')
+  })
+
+  it('Should explain its usage', async () => {
+    expect((await run([ '--help' ])).stdout).to.match(/^Usage: metlink-pid/)
+
+    for (let args of [ [], [ 'dance' ], [ 'send', 'COM1' ], [ 'encode', 'Hi', '--bogus' ], [ 'ping', 'COM1', '-e', 'soon' ], [ 'ping', 'COM1', '-r', 'foo' ], [ 'ping', 'COM1', '-r', '-1' ], [ 'ping', 'COM1', '-r', '1.5' ] ]) {
+      let { code, stderr } = await run(args, { openPID })
+      expect(code, args.join(' ')).to.equal(2)
+      expect(stderr).to.match(/Usage: metlink-pid/)
+    }
+  })
+
+  it('Should parse durations', () => {
+    expect(parseDuration('250ms')).to.equal(250)
+    expect(parseDuration('30s')).to.equal(30000)
+    expect(parseDuration('1.5m')).to.equal(90000)
+    expect(parseDuration('2')).to.equal(2000)
+  })
+})
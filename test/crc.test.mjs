@@ -0,0 +1,60 @@
+import { expect } from 'chai'
+import { CRCError, check, crc, verify } from '../crc.mjs'
+
+const PAYLOAD = [ 0x01, 0x50, 0x6F ]
+
+describe('The crc function', () => {
+  it('Should give the same checksum for a Buffer, an array and typed arrays', () => {
+    let checksum = crc(Buffer.from(PAYLOAD))
+
+    expect(checksum).to.have.length(2)
+    expect(crc(PAYLOAD)).to.deep.equal(checksum)
+    expect(crc(Uint8Array.from(PAYLOAD))).to.deep.equal(checksum)
+    expect(crc(Uint8Array.from([ 0xFF, ...PAYLOAD ]).subarray(1))).to.deep.equal(checksum)
+    expect(crc(Uint16Array.from(PAYLOAD))).to.deep.equal(checksum)
+  })
+
+  it('Should reject arrays of values that are not bytes', () => {
+    expect(() => crc([ 0x01, 0x100 ])).to.throw(RangeError, /256 is not a byte/)
+    expect(() => crc([ 0x01, 1.5 ])).to.throw(RangeError)
+  })
+})
+
+describe('The verify function', () => {
+  let packet = [ ...PAYLOAD, ...crc(PAYLOAD) ]
+
+  it('Should return the bytes without their checksum', () => {
+    expect(verify(Buffer.from(packet))).to.deep.equal(Buffer.from(PAYLOAD))
+    expect(verify(packet)).to.deep.equal(Buffer.from(PAYLOAD))
+    expect(verify(Uint8Array.from(packet))).to.deep.equal(Buffer.from(PAYLOAD))
+  })
+
+  it('Should throw a CRCError with the expected and actual checksums', () => {
+    let corrupt = [ ...PAYLOAD, 0x12, 0x34 ]
+
+    let error
+    try {
+      verify(corrupt)
+    } catch (e) {
+      error = e
+    }
+
+    expect(error).to.be.an.instanceOf(CRCError)
+    expect(error).to.be.an.instanceOf(RangeError)
+    expect(error.expected).to.deep.equal(crc(PAYLOAD))
+    expect(error.actual).to.deep.equal(Buffer.from([ 0x12, 0x34 ]))
+    expect(error.message).to.equal(`Got CRC value 1234 when ${crc(PAYLOAD).toString('hex')} was expected`)
+  })
+
+  it('Should reject fewer than 2 bytes', () => {
+    expect(() => verify([ 0x01 ])).to.throw(RangeError, /at least 2 bytes/)
+  })
+})
+
+describe('The check function', () => {
+  it('Should tell whether the checksum is correct without throwing', () => {
+    expect(check([ ...PAYLOAD, ...crc(PAYLOAD) ])).to.be.true
+    expect(check(Buffer.from([ ...PAYLOAD, 0x12, 0x34 ]))).to.be.false
+    expect(check([ 0x01 ])).to.be.false
+  })
+})
@@ -0,0 +1,80 @@
+import { expect } from 'chai'
+import { DepartureTemplate } from '../departure.mjs'
+import { CharacterSet, PIDValidationError, Page, PageAnimate } from '../index.mjs'
+
+describe('The DepartureTemplate class', () => {
+  let template = new DepartureTemplate()
+
+  it('Should show a summary page with the countdown and platform right-justified', () => {
+    let message = template.render({ scheduled: '12:34', destination: 'Funkytown', minutes: 5, type: 'Limited Express', platform: 2 }, 0x02)
+
+    expect(message.toString()).to.equal('V10^12:34 FUNKYTOWN~5 min_Limited Express~Plat 2')
+    expect(message.getAddress()).to.equal(2)
+  })
+
+  it('Should format times and countdowns', () => {
+    let message = template.render({ scheduled: new Date(2026, 0, 1, 9, 5), destination: 'Petone', minutes: 0.5 })
+    expect(message.toString()).to.equal('V10^09:05 PETONE~Now')
+
+    let custom = new DepartureTemplate({ countdown: minutes => `${minutes}`, uppercaseDestination: false, summaryDelay: 20 })
+    expect(custom.render({ scheduled: '12:34', destination: 'Petone', minutes: 7, platform: 1 }).toString()).to.equal('V20^12:34 Petone~7_~Plat 1')
+  })
+
+  it('Should abbreviate then shorten a destination that does not fit', () => {
+    let message = template.render({ scheduled: '12:34', destination: 'Upper Hutt Central Station Heights North', minutes: 12 })
+    let page = message.getPages()[0]
+
+    expect(page.getText()).to.equal('12:34 UPPER HUTT~12 min')
+    expect(page.layout().lines[0].width).to.be.at.most(Page._DISPLAY_WIDTH)
+
+    let abbreviated = template.render({ scheduled: '12:34', destination: 'Ava Station', minutes: 12 })
+    expect(abbreviated.getPages()[0].getText()).to.equal('12:34 AVA STN~12 min')
+  })
+
+  it('Should list the stopping pattern and disruption on scrolling pages', () => {
+    let message = template.render({
+      scheduled: '12:34',
+      destination: 'Taita',
+      minutes: 3,
+      stops: [ 'Petone', 'Ava', 'Woburn', 'Waterloo', 'Epuni', 'Naenae', 'Wingate', 'Taita' ],
+      disruption: 'Delays of up to 10 minutes'
+    })
+
+    let pages = message.getPages()
+    expect(pages[0].getAnimate()).to.equal(PageAnimate.VSCROLL)
+    expect(pages.slice(1).every(page => page.getAnimate() === PageAnimate.HSCROLL && page.getDelay() === 0)).to.be.true
+    expect(pages.slice(1).map(page => page.getText())).to.deep.equal([
+      'Stops at Petone, Ava,_Woburn, Waterloo,',
+      'Epuni, Naenae, Wingate_and Taita',
+      'Delays of up to 10_minutes'
+    ])
+    expect(pages.some(page => page.layout().clipped)).to.be.false
+  })
+
+  it('Should describe stopping patterns', () => {
+    expect(DepartureTemplate.stoppingPattern([ 'Petone' ])).to.equal('Stops at Petone only')
+    expect(DepartureTemplate.stoppingPattern([ 'Petone', 'Melling' ])).to.equal('Stops at Petone and Melling')
+  })
+
+  it('Should reject characters the display cannot show', () => {
+    expect(() => template.render({ scheduled: '12:34', destination: 'Funky_town' })).to.throw(PIDValidationError, /_ not in allowed characters/)
+    expect(() => template.render({ scheduled: '12:34', destination: 'Taita', disruption: '50% off' }))
+      .to.throw(PIDValidationError).with.property('field', 'disruption')
+  })
+
+  it('Should only reject characters of unknown width beside right-justified text', () => {
+    expect(template.render({ scheduled: '12:34', destination: 'Airport + City', type: 'Fares $5', stops: [ 'Gate #1' ] }).toString())
+      .to.equal('V10^12:34 AIRPORT + CITY_Fares $5|H0^Stops at Gate #1 only')
+    expect(() => template.render({ scheduled: '12:34', destination: 'Airport + City', minutes: 5 }))
+      .to.throw(PIDValidationError, /\+ cannot be right-justified/).with.property('field', 'destination')
+  })
+
+  it('Should use the character set it is given', () => {
+    let characterSet = CharacterSet.standard().register(0xC4, 'Ä', 6)
+    let message = new DepartureTemplate({ characterSet }).render({ scheduled: '12:34', destination: 'Ägypten', minutes: 5 })
+
+    expect(message.toString()).to.equal('V10^12:34 ÄGYPTEN~5 min')
+    expect(message.getPages()[0].getCharacterSet()).to.equal(characterSet)
+    expect(() => template.render({ scheduled: '12:34', destination: 'Ägypten' })).to.throw(PIDValidationError)
+  })
+})
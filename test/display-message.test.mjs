@@ -1,7 +1,36 @@
 import { expect } from 'chai'
-import { DisplayMessage, PageAnimate } from '../index.mjs'
+import Ajv from 'ajv/dist/2020.js'
+import { readFileSync } from 'fs'
+import { DisplayMessage, PIDValidationError, Page, PageAnimate } from '../index.mjs'
+
+const schema = JSON.parse(readFileSync(new URL('../message.schema.json', import.meta.url)))
 
 describe('The DisplayMessage class', () => {
+  describe('The constructor', () => {
+    it('Should require a non-empty array of pages', () => {
+      expect(() => new DisplayMessage('oops', 1)).to.throw(PIDValidationError, /Pages must be a non-empty array/)
+      expect(() => new DisplayMessage([], 1)).to.throw(PIDValidationError, /Pages must be a non-empty array/)
+
+      let error = (() => {
+        try {
+          new DisplayMessage([ Page.fromStr('Hello'), 'World' ], 1)
+        } catch (e) {
+          return e
+        }
+      })()
+      expect(error).to.be.instanceOf(PIDValidationError)
+      expect(error.field).to.equal('pages')
+      expect(error.page).to.equal(1)
+    })
+
+    it('Should require the address to be a byte', () => {
+      let pages = [ Page.fromStr('Hello') ]
+      expect(() => new DisplayMessage(pages, 0x100)).to.throw(PIDValidationError, /Address 256 is not a byte/)
+      expect(() => new DisplayMessage(pages, '1')).to.throw(PIDValidationError)
+      expect(new DisplayMessage(pages).getAddress()).to.equal(undefined)
+    })
+  })
+
   describe('The fromStr method', () => {
     it('Should take a list of pages split by | and convert them into Page objects', () => {
       let message = DisplayMessage.fromStr('12:34 FUNKYTOWN~5_Limited Express|_Stops all stations except East Richard')
@@ -16,6 +45,72 @@ describe('The DisplayMessage class', () => {
     })
   })
 
+  describe('The validate method', () => {
+    it('Should return the problems on every page with the page index', () => {
+      let problems = DisplayMessage.validate('V10^50% off|X99^Flinders St @ 12:34')
+      expect(problems.map(problem => [ problem.page, problem.field, problem.value ])).to.deep.equal([
+        [ 0, 'text', '%' ],
+        [ 1, 'animate', new PageAnimate('X') ],
+        [ 1, 'delay', 99 ],
+        [ 1, 'text', '@' ]
+      ])
+      expect(problems[3].message).to.equal('@ not in allowed characters (page 1, position 12)')
+    })
+
+    it('Should be used by fromStr', () => {
+      expect(() => DisplayMessage.fromStr('Hello|World [1]')).to.throw(PIDValidationError, /page 1, position 6/)
+    })
+  })
+
+  describe('The fit method', () => {
+    it('Should word-wrap text onto lines that fit the display', () => {
+      let message = DisplayMessage.fit('Stops all stations except East Richmond')
+      expect(message.toString()).to.equal('V10^Stops all stations_except East Richmond')
+    })
+
+    it('Should abbreviate words from the end of a line until it fits', () => {
+      expect(DisplayMessage.fit('Lambton Quay Street Station').toString()).to.equal('V10^Lambton Quay St Stn')
+      expect(DisplayMessage.fit('Melling Station, Western Hutt', { abbreviations: {} }).toString()).to.equal('V10^Melling Station,_Western Hutt')
+      expect(DisplayMessage.fit('Melling Station, Western Hutt', { abbreviations: { Western: 'W', Station: 'Stn' } }).toString()).to.equal('V10^Melling Stn, W Hutt')
+    })
+
+    it('Should wrap characters of unknown width as if they were the widest', () => {
+      expect(DisplayMessage.fit('Fares $5 today').toString()).to.equal('V10^Fares $5 today')
+      expect(DisplayMessage.fit('#'.repeat(25)).toString()).to.equal(`V10^${'#'.repeat(20)}_${'#'.repeat(5)}`)
+    })
+
+    it('Should put lines that do not fit onto further HSCROLL pages', () => {
+      let message = DisplayMessage.fit('Petone_Melling_Western Hutt_Ava_Woburn', { delay: 5, address: 0x02 })
+      expect(message.toString()).to.equal('V5^Petone_Melling|H0^Western Hutt_Ava|H0^Woburn')
+      expect(message.getAddress()).to.equal(0x02)
+      expect(message.getPages().every(page => !page.layout().clipped)).to.be.true
+    })
+
+    it('Should reject text that cannot be shown with the position of the character', () => {
+      let error = (() => {
+        try {
+          DisplayMessage.fit('Hello @ world')
+        } catch (e) {
+          return e
+        }
+      })()
+      expect(error).to.be.instanceOf(PIDValidationError)
+      expect(error.value).to.equal('@')
+      expect(error.position).to.equal(6)
+
+      expect(() => DisplayMessage.fit('Hello~world')).to.throw(PIDValidationError, /~ cannot be used/)
+      expect(() => DisplayMessage.fromStr('Fare $5~now')).to.throw(PIDValidationError, /\$ cannot be right-justified/)
+      expect(() => DisplayMessage.fit('Hello', { delay: 65 })).to.throw(PIDValidationError, /Delay 65/)
+    })
+
+    it('Should split words too wide for a line', () => {
+      let message = DisplayMessage.fit('Taumatawhakatangihangakoauauotamateaturipukakapikimaungahoronukupokaiwhenuakitanatahu')
+      let lines = message.getPages().flatMap(page => page.getText().split('_'))
+      expect(lines.join('')).to.equal('Taumatawhakatangihangakoauauotamateaturipukakapikimaungahoronukupokaiwhenuakitanatahu')
+      expect(lines.length).to.equal(5)
+    })
+  })
+
   describe('The fromBytes method', () => {
     it('Should check for the correct header', () => {
       let badHeader = Buffer.from([ 0x00, 0x43, 0x00 ])
@@ -138,6 +233,58 @@ describe('The DisplayMessage class', () => {
     })
   })
 
+  describe('The toJSON method', () => {
+    it('Should hold the address and the pages', () => {
+      let message = DisplayMessage.fromStr('12:34 FUNKYTOWN~5_Limited Express|_Stops all stations', 0x02)
+      expect(message.toJSON()).to.deep.equal({
+        address: 2,
+        pages: [
+          { animate: 'VSCROLL', delay: 10, lines: [ { left: '12:34 FUNKYTOWN', right: '5' }, 'Limited Express' ] },
+          { animate: 'HSCROLL', delay: 0, lines: [ '', 'Stops all stations' ] }
+        ]
+      })
+      expect(DisplayMessage.fromStr('Hello').toJSON()).to.not.have.property('address')
+    })
+
+    it('Should match the JSON Schema', () => {
+      let validate = new Ajv().compile(schema)
+      let message = DisplayMessage.fromStr('N^12:34 FUNKYTOWN~5_Limited · Express|_Stops all stations', 0x02)
+
+      expect(validate(JSON.parse(JSON.stringify(message))), JSON.stringify(validate.errors)).to.be.true
+      expect(validate({ pages: [ { lines: [ 'a_b' ] } ] })).to.be.false
+      expect(validate({ pages: [ { animate: 'V', lines: [] } ] })).to.be.false
+      expect(validate({ pages: [] })).to.be.false
+    })
+
+    it('Should allow every encodable character in the JSON Schema', () => {
+      let pattern = new RegExp(schema.$defs.text.pattern, 'u')
+      expect(pattern.test(Object.keys(Page._TEXT_ENCODING).join(''))).to.be.true
+      for (let char of '_~|^"%') expect(pattern.test(char), char).to.be.false
+    })
+  })
+
+  describe('The fromJSON method', () => {
+    it('Should round trip the JSON representation', () => {
+      let string = 'V10^12:34 FUNKYTOWN~5_Limited Express|H0^_Stops all stations'
+      let message = DisplayMessage.fromJSON(DisplayMessage.fromStr(string, 0x02).toJSON())
+
+      expect(message.toString()).to.equal(string)
+      expect(message.getAddress()).to.equal(2)
+      expect(DisplayMessage.fromJSON(message.toJSON(), 0x03).getAddress()).to.equal(3)
+    })
+
+    it('Should apply the same defaults as fromStr', () => {
+      let message = DisplayMessage.fromJSON({ pages: [ { lines: [ 'One' ] }, { lines: [ 'Two' ] } ] })
+      expect(message.toString()).to.equal('V10^One|H0^Two')
+    })
+
+    it('Should reject invalid messages with the page index', () => {
+      expect(() => DisplayMessage.fromJSON({ pages: [] })).to.throw(PIDValidationError, /Pages must be a non-empty array/)
+      expect(() => DisplayMessage.fromJSON({ pages: [ { lines: [ 'Ok' ] }, { lines: [ 'Bad ¬' ] } ] }))
+        .to.throw(PIDValidationError, /¬ not in allowed characters \(page 1, position 4\)/)
+    })
+  })
+
   describe('The toBytes method', () => {
     it('Should join the pages with 0x0D 0x01 and terminate with 0x0D', () => {
       let expected = [
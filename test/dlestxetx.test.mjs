@@ -1,5 +1,5 @@
 import { expect } from 'chai'
-import { decode, encode } from '../dlestxetx.mjs'
+import { PacketParser, decode, encode } from '../dlestxetx.mjs'
 
 describe('The DLE-STX-ETX class', () => {
   it('Should encode data', () => {
@@ -45,4 +45,69 @@ describe('The DLE-STX-ETX class', () => {
       0x10, 0x02, 0x10, 0x04, 0x10, 0x03
     ]))).to.throw(/Found 4 where 3 or 10 was expected/)
   })
-})
\ No newline at end of file
+
+  describe('The PacketParser class', () => {
+    function parse(...chunks) {
+      let parser = new PacketParser()
+      let packets = [], noise = []
+      parser.on('packet', packet => packets.push([ ...packet ]))
+      parser.on('noise', bytes => noise.push([ ...bytes ]))
+      for (let chunk of chunks) parser.write(Buffer.from(chunk))
+
+      return { packets, noise }
+    }
+
+    it('Should emit each complete packet', () => {
+      let { packets } = parse([ 0x10, 0x02, 0x01, 0x10, 0x03, 0x10, 0x02, 0x05, 0x10, 0x03 ])
+      expect(packets).to.deep.equal([
+        [ 0x10, 0x02, 0x01, 0x10, 0x03 ],
+        [ 0x10, 0x02, 0x05, 0x10, 0x03 ]
+      ])
+    })
+
+    it('Should join packets split across chunks, including escaped DLEs', () => {
+      let { packets } = parse([ 0x10, 0x02, 0x01, 0x10 ], [ 0x10, 0x05, 0x10 ], [ 0x03 ])
+      expect(packets).to.deep.equal([
+        [ 0x10, 0x02, 0x01, 0x10, 0x10, 0x05, 0x10, 0x03 ]
+      ])
+    })
+
+    it('Should discard bytes outside of a packet as noise', () => {
+      let { packets, noise } = parse([ 0x99, 0x10, 0x98, 0x10, 0x02, 0x01, 0x10, 0x03 ])
+      expect(packets).to.deep.equal([ [ 0x10, 0x02, 0x01, 0x10, 0x03 ] ])
+      expect(noise).to.deep.equal([ [ 0x99, 0x10, 0x98 ] ])
+    })
+
+    it('Should find a header following noise that ends in DLE', () => {
+      let { packets, noise } = parse([ 0x99, 0x10, 0x10, 0x02, 0x01, 0x10, 0x03 ])
+      expect(packets).to.deep.equal([ [ 0x10, 0x02, 0x01, 0x10, 0x03 ] ])
+      expect(noise).to.deep.equal([ [ 0x99, 0x10 ] ])
+    })
+
+    it('Should emit noise once it reaches the maximum length, without waiting for a header', () => {
+      let parser = new PacketParser(4)
+      let packets = [], noise = []
+      parser.on('packet', packet => packets.push([ ...packet ]))
+      parser.on('noise', bytes => noise.push([ ...bytes ]))
+
+      parser.write(Buffer.from([ 0x99, 0x98, 0x97, 0x96, 0x95, 0x94, 0x93, 0x10 ]))
+      expect(noise).to.deep.equal([ [ 0x99, 0x98, 0x97, 0x96 ] ])
+
+      parser.write(Buffer.from([ 0x02, 0x01, 0x10, 0x03 ]))
+      expect(packets).to.deep.equal([ [ 0x10, 0x02, 0x01, 0x10, 0x03 ] ])
+      expect(noise).to.deep.equal([ [ 0x99, 0x98, 0x97, 0x96 ], [ 0x95, 0x94, 0x93 ] ])
+    })
+
+    it('Should resynchronise on a new header within a packet', () => {
+      let { packets, noise } = parse([ 0x10, 0x02, 0x01, 0x02 ], [ 0x10, 0x02, 0x05, 0x10, 0x03 ])
+      expect(packets).to.deep.equal([ [ 0x10, 0x02, 0x05, 0x10, 0x03 ] ])
+      expect(noise).to.deep.equal([ [ 0x10, 0x02, 0x01, 0x02 ] ])
+    })
+
+    it('Should abandon a packet containing an invalid escape sequence', () => {
+      let { packets, noise } = parse([ 0x10, 0x02, 0x01, 0x10, 0x04, 0x10, 0x03, 0x10, 0x02, 0x10, 0x03 ])
+      expect(packets).to.deep.equal([ [ 0x10, 0x02, 0x10, 0x03 ] ])
+      expect(noise).to.deep.equal([ [ 0x10, 0x02, 0x01, 0x10, 0x04, 0x10, 0x03 ] ])
+    })
+  })
+})
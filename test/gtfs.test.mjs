@@ -0,0 +1,193 @@
+import { expect } from 'chai'
+import { cp, mkdtemp, readFile, rm, writeFile } from 'fs/promises'
+import { tmpdir } from 'os'
+import path from 'path'
+import GtfsRealtimeBindings from 'gtfs-realtime-bindings'
+import { GTFSAdapter, GTFSFeed, parseRealtime } from '../gtfs.mjs'
+import { MockPIDDevice } from '../mock-device.mjs'
+import { PID } from '../index.mjs'
+
+const { FeedMessage } = GtfsRealtimeBindings.transit_realtime
+const FIXTURES = new URL('./fixtures/gtfs/', import.meta.url).pathname
+
+function realtime(entity) {
+  return Buffer.from(FeedMessage.encode(FeedMessage.fromObject({
+    header: { gtfsRealtimeVersion: '2.0', timestamp: 1700000000 },
+    entity
+  })).finish())
+}
+
+const DELAYED = realtime([
+  { id: '1', tripUpdate: { trip: { tripId: 'HVL1' }, stopTimeUpdate: [ { stopId: 'WELL1', departure: { delay: 900 } }, { stopId: 'NGAU', scheduleRelationship: 'SKIPPED' } ] } },
+  { id: '2', tripUpdate: { trip: { tripId: 'MEL1', scheduleRelationship: 'CANCELED' } } }
+])
+
+// Tuesday 20 October 2026, 12:25 local time
+const NOW = new Date(2026, 9, 20, 12, 25)
+
+describe('The GTFSFeed class', () => {
+  let feed
+
+  before(async () => {
+    feed = await GTFSFeed.fromDirectory(FIXTURES)
+  })
+
+  it('Should compute the next departures from a station with their stopping patterns', () => {
+    let departures = feed.departures({ stopId: 'WELL', now: NOW })
+
+    expect(departures.map(departure => departure.tripId)).to.deep.equal([ 'HVL1', 'MEL1', 'HVL2' ])
+    expect(departures[0]).to.deep.include({
+      destination: 'Taita',
+      platform: '1',
+      type: 'Hutt Valley Line',
+      stops: [ 'Ngāuranga Station', 'Petone Station', 'Taita Station' ]
+    })
+    expect(departures[0].scheduled).to.deep.equal(new Date(2026, 9, 20, 12, 30))
+    expect(departures[0].expected).to.deep.equal(departures[0].scheduled)
+  })
+
+  it('Should only include departures from the chosen platform', () => {
+    let departures = feed.departures({ stopId: 'WELL', platform: '2', now: NOW })
+    expect(departures.map(departure => departure.tripId)).to.deep.equal([ 'MEL1' ])
+  })
+
+  it('Should apply realtime delays, cancellations and skipped stops', () => {
+    let departures = feed.departures({ stopId: 'WELL', now: NOW, realtime: parseRealtime(DELAYED) })
+
+    expect(departures.map(departure => departure.tripId)).to.deep.equal([ 'HVL1', 'HVL2', 'HVL4' ])
+    expect(departures[0].expected).to.deep.equal(new Date(2026, 9, 20, 12, 45))
+    expect(departures[0].stops).to.deep.equal([ 'Petone Station', 'Taita Station' ])
+  })
+
+  it('Should propagate delays from earlier stops', () => {
+    let feedMessage = realtime([ { id: '1', tripUpdate: { trip: { tripId: 'HVL1' }, stopTimeUpdate: [ { stopSequence: 1, departure: { delay: 120 } } ] } } ])
+    let departures = feed.departures({ stopId: 'PETO', now: NOW, realtime: parseRealtime(feedMessage) })
+
+    expect(departures[0].tripId).to.equal('HVL1')
+    expect(departures[0].expected).to.deep.equal(new Date(2026, 9, 20, 12, 47))
+  })
+
+  it('Should include trips running after midnight on the previous service day', () => {
+    let departures = feed.departures({ stopId: 'WELL', now: new Date(2026, 9, 21, 0, 5) })
+
+    expect(departures[0].tripId).to.equal('HVL4')
+    expect(departures[0].scheduled).to.deep.equal(new Date(2026, 9, 21, 0, 10))
+  })
+
+  it('Should include trips leaving after midnight on the next service day', () => {
+    let departures = feed.departures({ stopId: 'WELL', now: new Date(2026, 9, 20, 23, 55) })
+
+    expect(departures.map(departure => departure.tripId)).to.deep.equal([ 'HVL4', 'HVL5', 'HVL1' ])
+    expect(departures[1].scheduled).to.deep.equal(new Date(2026, 9, 21, 0, 15))
+
+    // Friday night, when the weekday trips don't run the next day
+    expect(feed.departures({ stopId: 'WELL', now: new Date(2026, 9, 23, 23, 55) }).map(departure => departure.tripId)).to.deep.equal([ 'HVL4', 'HVL3' ])
+  })
+
+  it('Should follow the service calendar and its exceptions', () => {
+    expect(feed.departures({ stopId: 'WELL', now: new Date(2026, 9, 24, 12, 0) })[0].tripId).to.equal('HVL3')
+    expect(feed.departures({ stopId: 'WELL', now: new Date(2026, 9, 26, 12, 0) })[0].tripId).to.equal('HVL3')
+    expect(feed.departures({ stopId: 'WELL', now: new Date(2026, 9, 27, 12, 0) })[0].tripId).to.equal('HVL1')
+  })
+})
+
+describe('The GTFSAdapter class', () => {
+  let feed, directory, device, pid
+
+  before(async () => {
+    feed = await GTFSFeed.fromDirectory(FIXTURES)
+    directory = await mkdtemp(path.join(tmpdir(), 'metlink-pid-'))
+  })
+
+  after(() => rm(directory, { recursive: true }))
+
+  beforeEach(() => {
+    device = new MockPIDDevice()
+    pid = new PID(device)
+  })
+
+  it('Should send the next departures when they change', async () => {
+    let realtimeFile = path.join(directory, 'trip-updates.pb')
+    await writeFile(realtimeFile, realtime([]))
+
+    let adapter = new GTFSAdapter(pid, feed, { stopId: 'WELL', realtime: realtimeFile, now: () => NOW })
+    let updates = []
+    adapter.on('update', string => updates.push(string))
+
+    expect(await adapter.update()).to.be.true
+    expect(await adapter.update()).to.be.false
+
+    await writeFile(realtimeFile, DELAYED)
+    expect(await adapter.update()).to.be.true
+
+    expect(updates).to.deep.equal([
+      'V10^12:30 TAITA~5 min_Hutt Valley Line~Plat 1|H0^Stops at Ngauranga_Stn, Petone Stn and|H0^Taita Station|H0^12:40 MELLING~15 min_13:00 TAITA~35 min',
+      'V10^12:30 TAITA~20 min_Hutt Valley Line~Plat 1|H0^Stops at Petone Stn_and Taita Station|H0^13:00 TAITA~35 min_00:10 TAITA~705 min'
+    ])
+    expect(device.getReceived().map(message => message.toString())).to.deep.equal(updates)
+  })
+
+  it('Should leave out characters of unknown width from the feed', async () => {
+    let copy = path.join(directory, 'plus')
+    await cp(FIXTURES, copy, { recursive: true })
+    let trips = await readFile(path.join(copy, 'trips.txt'), 'utf8')
+    await writeFile(path.join(copy, 'trips.txt'), trips.replace('HVL1,Taita', 'HVL1,Taita + Hutt'))
+
+    let adapter = new GTFSAdapter(pid, await GTFSFeed.fromDirectory(copy), { stopId: 'WELL', now: () => NOW })
+    let { string } = await adapter.compute()
+
+    expect(string).to.match(/^V10\^12:30 TAITA HUTT~5 min_/)
+  })
+
+  it('Should show the idle text when there are no departures', async () => {
+    let adapter = new GTFSAdapter(pid, feed, { stopId: 'TAIT', idleText: 'No trains', now: () => NOW })
+
+    await adapter.update()
+    expect(device.getReceived()[0].toString()).to.equal('V10^No trains')
+  })
+
+  it('Should update at an interval until stopped', async () => {
+    let time = NOW
+    let adapter = new GTFSAdapter(pid, feed, { stopId: 'WELL', following: 0, now: () => time })
+
+    let updated = new Promise(resolve => adapter.on('update', () => {
+      if (device.getReceived().length === 2) resolve()
+      time = new Date(time.getTime() + 60000)
+    }))
+
+    adapter.start({ intervalMs: 5 })
+    await updated
+    adapter.stop()
+
+    expect(device.getReceived().map(message => message.getPages()[0].getText())).to.deep.equal([
+      '12:30 TAITA~5 min_Hutt Valley Line~Plat 1',
+      '12:30 TAITA~4 min_Hutt Valley Line~Plat 1'
+    ])
+  })
+
+  it('Should only keep one update loop when restarted during an update', async () => {
+    let adapter = new GTFSAdapter(pid, feed, { stopId: 'WELL', now: () => NOW })
+    let sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+    let calls = 0
+    let release
+    let updating = new Promise(resolve => release = resolve)
+    adapter.update = async () => {
+      calls++
+      await updating
+    }
+
+    adapter.start({ intervalMs: 5 })
+    await sleep(1)
+    adapter.stop()
+    adapter.start({ intervalMs: 5 })
+    release()
+
+    await sleep(20)
+    adapter.stop()
+    let stopped = calls
+    await sleep(20)
+
+    expect(calls).to.equal(stopped)
+  })
+})
@@ -0,0 +1,132 @@
+import { expect } from 'chai'
+import { PIDBus } from '../bus.mjs'
+import { PIDHTTPServer } from '../http-server.mjs'
+import { MockPIDDevice } from '../mock-device.mjs'
+import { CharacterSet, DisplayMessage, PingMessage } from '../index.mjs'
+
+describe('The PIDHTTPServer class', () => {
+  let device, server, base
+
+  beforeEach(async () => {
+    device = new MockPIDDevice({ addresses: [ 0x01, 0x02 ] })
+    server = new PIDHTTPServer(new PIDBus(device), { pidOptions: { ackTimeout: 20 } })
+    base = `http://127.0.0.1:${await server.listen({ host: '127.0.0.1' })}`
+  })
+
+  afterEach(() => server.close())
+
+  it('Should send a message given as a string', async () => {
+    let res = await fetch(`${base}/displays/2/message`, { method: 'PUT', body: 'V^Hello|World' })
+    let body = await res.json()
+
+    expect(res.status).to.equal(200)
+    expect(body).to.include({ address: 2, message: 'V10^Hello|H0^World', status: 'acknowledged' })
+    expect(body.lastSent).to.be.a('string')
+    expect(body.lastSeen).to.be.a('string')
+
+    let received = device.getReceived()[0]
+    expect(received).to.be.instanceOf(DisplayMessage)
+    expect(received.getAddress()).to.equal(2)
+  })
+
+  it('Should send a message given as JSON pages', async () => {
+    let res = await fetch(`${base}/displays/0x01/message`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ pages: [ { animate: 'NONE', delay: 7, lines: [ 'Json' ] } ] })
+    })
+
+    expect(res.status).to.equal(200)
+    expect(device.getReceived()[0].toString()).to.equal('N7^Json')
+  })
+
+  it('Should send a message given as an array of page objects', async () => {
+    let res = await fetch(`${base}/displays/0x01/message`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify([ { animate: 'N', delay: 7, text: 'Json' } ])
+    })
+
+    expect(res.status).to.equal(200)
+    expect(device.getReceived()[0].toString()).to.equal('N7^Json')
+  })
+
+  it('Should use the character set of the display', async () => {
+    let characterSet = CharacterSet.standard().register(0xC4, 'Ä', 6)
+    let custom = new PIDHTTPServer(new PIDBus(device), { pidOptions: { characterSet } })
+    let customBase = `http://127.0.0.1:${await custom.listen({ host: '127.0.0.1' })}`
+
+    try {
+      let text = await fetch(`${customBase}/displays/1/message`, { method: 'PUT', body: 'Ägypten' })
+      let json = await fetch(`${customBase}/displays/1/message`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ pages: [ { lines: [ 'Ägypten' ] } ] })
+      })
+
+      expect(text.status).to.equal(200)
+      expect(json.status).to.equal(200)
+      expect(device.getReceived()).to.have.length(2)
+    } finally {
+      await custom.close()
+    }
+  })
+
+  it('Should report the state of displays', async () => {
+    await fetch(`${base}/displays/1/message`, { method: 'PUT', body: 'Hello' })
+
+    let state = await (await fetch(`${base}/displays/1`)).json()
+    expect(state).to.include({ address: 1, message: 'V10^Hello', status: 'acknowledged' })
+    expect(state.pages).to.deep.equal([ { animate: 'VSCROLL', delay: 10, lines: [ 'Hello' ] } ])
+
+    let unused = await (await fetch(`${base}/displays/3`)).json()
+    expect(unused).to.deep.equal({ address: 3, message: null, pages: null, status: null, lastSent: null, lastSeen: null })
+
+    let all = await (await fetch(`${base}/displays`)).json()
+    expect(all.map(state => state.address)).to.deep.equal([ 1 ])
+  })
+
+  it('Should ping a display', async () => {
+    let res = await fetch(`${base}/displays/1/ping`, { method: 'POST' })
+
+    expect(res.status).to.equal(200)
+    expect(device.getReceived()[0]).to.be.instanceOf(PingMessage)
+  })
+
+  it('Should report displays that do not acknowledge', async () => {
+    let res = await fetch(`${base}/displays/3/message`, { method: 'PUT', body: 'Hello' })
+    let body = await res.json()
+
+    expect(res.status).to.equal(504)
+    expect(body).to.include({ status: 'unacknowledged', lastSeen: null })
+  })
+
+  it('Should reject invalid requests', async () => {
+    let invalid = await fetch(`${base}/displays/1/message`, { method: 'PUT', body: 'Hello|Bad ¬' })
+    expect(invalid.status).to.equal(400)
+    expect(await invalid.json()).to.include({ field: 'text', page: 1, position: 4 })
+
+    let json = await fetch(`${base}/displays/1/message`, { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: '{' })
+    expect(json.status).to.equal(400)
+
+    expect((await fetch(`${base}/displays/256`)).status).to.equal(404)
+    expect((await fetch(`${base}/signs/1`)).status).to.equal(404)
+    expect((await fetch(`${base}/displays/1/message`, { method: 'DELETE' })).status).to.equal(405)
+    expect(device.getReceived()).to.be.empty
+  })
+
+  it('Should preview the last message sent', async () => {
+    expect((await fetch(`${base}/displays/1/preview`)).status).to.equal(404)
+
+    await fetch(`${base}/displays/1/message`, { method: 'PUT', body: 'Hello|World' })
+
+    let res = await fetch(`${base}/displays/1/preview?page=1&scale=2`)
+    let png = Buffer.from(await res.arrayBuffer())
+    expect(res.headers.get('content-type')).to.equal('image/png')
+    expect(png.subarray(1, 4).toString()).to.equal('PNG')
+    expect(png.readUInt32BE(16)).to.equal(240)
+    expect(png.readUInt32BE(20)).to.equal(32)
+
+    expect((await fetch(`${base}/displays/1/preview?page=2`)).status).to.equal(400)
+  })
+})
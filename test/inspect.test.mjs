@@ -0,0 +1,60 @@
+import { expect } from 'chai'
+import { CRCError, DisplayMessage, PingMessage, ResponseMessage, check, inspect } from '../index.mjs'
+import { encode } from '../dlestxetx.mjs'
+import { crc } from '../crc.mjs'
+
+function frame(bytes) {
+  return encode(Buffer.from([ ...bytes, ...crc(bytes) ]))
+}
+
+describe('The inspect function', () => {
+  it('Should return a DisplayMessage from an unframed payload', () => {
+    let bytes = DisplayMessage.fromStr('V35^_Hello World|V20^Hello World', 0x01).toBytes()
+    let message = inspect(bytes)
+
+    expect(message).to.be.instanceOf(DisplayMessage)
+    expect(message.toString()).to.equal('V35^_Hello World|V20^Hello World')
+  })
+
+  it('Should return a PingMessage from a framed packet', () => {
+    let packet = frame(new PingMessage(0x6F, 0x01).toBytes())
+    let message = inspect(packet, 0x01)
+
+    expect(message).to.be.instanceOf(PingMessage)
+    expect(message.toBytes()).to.deep.equal([ 0x01, 0x50, 0x6F ])
+  })
+
+  it('Should return a ResponseMessage from a framed packet', () => {
+    let packet = frame([ 0x02, 0x52, 0x11, 0x00 ])
+    let message = inspect(packet)
+
+    expect(message).to.be.instanceOf(ResponseMessage)
+    expect(message.toBytes()).to.deep.equal([ 0x02, 0x52, 0x11, 0x00 ])
+  })
+
+  it('Should decode display messages holding bytes outside the character set', () => {
+    let message = inspect(frame([ 0x01, 0x44, 0x00, 0x1D, 0x00, 0x28, 0x00, 0x41, 0xC0, 0x42, 0x0D ]))
+
+    expect(message).to.be.instanceOf(DisplayMessage)
+    expect(message.toString()).to.equal('V10^A\uFFFDB')
+  })
+
+  it('Should check the CRC of a framed packet', () => {
+    let packet = frame([ 0x01, 0x52, 0x11, 0x00 ])
+    packet[packet.length - 3] ^= 0xFF
+
+    expect(() => inspect(packet)).to.throw(CRCError, /Got CRC value/)
+    expect(check(Buffer.from([ 0x01, 0x52, 0x11, 0x00 ]))).to.be.false
+  })
+
+  it('Should report the framing errors of packets', () => {
+    expect(() => inspect(Buffer.from('10020150', 'hex'))).to.throw(/Unexpected end of packet/)
+    expect(() => inspect(Buffer.from('1002015010', 'hex'))).to.throw(/Unexpected end of packet/)
+  })
+
+  it('Should reject payloads not matching any message marker', () => {
+    expect(() => inspect(Buffer.from([ 0x01, 0x99, 0x00 ]))).to.throw(/Unrecognised message 019900/)
+    expect(() => inspect(new PingMessage(0x6F, 0x01).toBytes(), 0x02)).to.throw(/Unrecognised message/)
+    expect(() => inspect(Buffer.from([]))).to.throw(/empty payload/)
+  })
+})
@@ -0,0 +1,79 @@
+import { expect } from 'chai'
+import { MockPIDDevice } from '../mock-device.mjs'
+import { PIDBus } from '../bus.mjs'
+import { AckTimeoutError, DisplayMessage, PID, PingMessage, ResponseMessage } from '../index.mjs'
+
+describe('The MockPIDDevice class', () => {
+  it('Should record and acknowledge messages sent by a PID', async () => {
+    let device = new MockPIDDevice()
+    let pid = new PID(device)
+
+    let response = await pid.send('V^Hello|World')
+    await pid.ping()
+
+    expect(response).to.be.instanceOf(ResponseMessage)
+    expect(response.toBytes()[2]).to.equal(MockPIDDevice.responseByte(0x01))
+
+    let received = device.getReceived()
+    expect(received[0]).to.be.instanceOf(DisplayMessage)
+    expect(received[0].toString()).to.equal('V10^Hello|H0^World')
+    expect(received[1]).to.be.instanceOf(PingMessage)
+  })
+
+  it('Should find a response byte for every address', () => {
+    for (let address = 0; address < 0x10; address++) expect(MockPIDDevice.responseByte(address)).to.be.within(0, 0x7F)
+  })
+
+  it('Should only acknowledge packets for its addresses', async () => {
+    let device = new MockPIDDevice({ addresses: [ 0x02, 0x03 ] })
+    let bus = new PIDBus(device)
+
+    await bus.pid(0x02).send('Two')
+    await bus.pid(0x03).send('Three')
+    let error = await bus.pid(0x01, { ackTimeout: 10 }).send('One').catch(e => e)
+
+    expect(error).to.be.instanceOf(AckTimeoutError)
+    expect(device.getReceived().map(message => message.getAddress())).to.deep.equal([ 0x02, 0x03, 0x01 ])
+  })
+
+  it('Should drop acknowledgements when asked', async () => {
+    let device = new MockPIDDevice()
+    let pid = new PID(device, false, 0x01, { ackTimeout: 10, retries: 1, retryDelay: 1 })
+
+    device.dropAcks()
+    await pid.send('Hello')
+    expect(device.getReceived().length).to.equal(2)
+  })
+
+  it('Should send acknowledgements with a bad CRC when asked', async () => {
+    let device = new MockPIDDevice()
+    let pid = new PID(device, false, 0x01, { ackTimeout: 10 })
+    let invalid = []
+    pid.on('invalid-packet', err => invalid.push(err))
+
+    device.corruptAcks()
+    let error = await pid.send('Hello').catch(e => e)
+
+    expect(error).to.be.instanceOf(AckTimeoutError)
+    expect(invalid.length).to.equal(1)
+    expect(invalid[0].message).to.match(/Got CRC value/)
+  })
+
+  it('Should inject garbage bytes that the PID can recover from', async () => {
+    let device = new MockPIDDevice({ responseDelay: 5 })
+    let pid = new PID(device)
+
+    let send = pid.send('Hello')
+    device.injectGarbage([ 0x00, 0x13, 0xFF, 0xDF ])
+    expect(await send).to.be.instanceOf(ResponseMessage)
+  })
+
+  it('Should record packets it cannot inspect', async () => {
+    let device = new MockPIDDevice()
+    let pid = new PID(device, true)
+
+    await pid.send(Buffer.from([ 0x10, 0x02, 0x01, 0x99, 0x10, 0x03 ]))
+    expect(device.getInvalid().length).to.equal(1)
+    expect(device.getReceived().length).to.equal(0)
+  })
+})
@@ -1,4 +1,4 @@
-import { Page, PageAnimate } from '../index.mjs'
+import { PIDValidationError, Page, PageAnimate } from '../index.mjs'
 import { expect } from 'chai'
 
 describe('The Page constants', () => {
@@ -72,6 +72,48 @@ describe('The Page constants', () => {
     })
   })
   
+  describe('The constructor', () => {
+    it('Should reject characters that cannot be displayed', () => {
+      let error
+      try {
+        new Page(PageAnimate.NONE, 5, 'Flinders St @ 12:34')
+      } catch (e) { error = e }
+
+      expect(error).to.be.instanceOf(PIDValidationError)
+      expect(error.field).to.equal('text')
+      expect(error.value).to.equal('@')
+      expect(error.position).to.equal(12)
+    })
+
+    it('Should reject invalid animate values', () => {
+      expect(() => new Page(new PageAnimate('X'), 5, 'Hello')).to.throw(PIDValidationError, /Invalid animate value X/)
+      expect(() => new Page('V', 5, 'Hello')).to.throw(PIDValidationError)
+    })
+
+    it('Should reject delays outside 0 to 64', () => {
+      expect(() => new Page(PageAnimate.NONE, -1, 'Hello')).to.throw(PIDValidationError, /Delay -1/)
+      expect(() => new Page(PageAnimate.NONE, 65, 'Hello')).to.throw(PIDValidationError, /Delay 65/)
+      expect(() => new Page(PageAnimate.NONE, 1.5, 'Hello')).to.throw(PIDValidationError)
+      expect(() => new Page(PageAnimate.NONE, 64, 'Hello')).to.not.throw()
+    })
+
+    it('Should allow the right-justify and newline characters', () => {
+      expect(() => new Page(PageAnimate.VSCROLL, 10, '12:34 FUNKYTOWN~5_Limited Express')).to.not.throw()
+    })
+  })
+
+  describe('The validate method', () => {
+    it('Should return every problem without throwing', () => {
+      let problems = Page.validate(new PageAnimate('X'), 99, 'a"b%')
+      expect(problems.map(problem => problem.field)).to.deep.equal([ 'animate', 'delay', 'text', 'text' ])
+      expect(problems.slice(2).map(problem => problem.position)).to.deep.equal([ 1, 3 ])
+    })
+
+    it('Should return nothing for a valid page', () => {
+      expect(Page.validate(PageAnimate.HSCROLL, 0, 'Hello World')).to.deep.equal([])
+    })
+  })
+
   describe('The toString method', () => {
     it('Should return a string representing the Page', () => {
       let page = new Page(PageAnimate.VSCROLL, 40, '12:34 FUNKYTOWN~5_Limited Express')
@@ -79,6 +121,40 @@ describe('The Page constants', () => {
     })
   })
 
+  describe('The toJSON method', () => {
+    it('Should spell out the lines of the page', () => {
+      let page = new Page(PageAnimate.VSCROLL, 40, '_12:34 FUNKYTOWN~5_Limited Express')
+      expect(page.toJSON()).to.deep.equal({
+        animate: 'VSCROLL',
+        delay: 40,
+        lines: [ '', { left: '12:34 FUNKYTOWN', right: '5' }, 'Limited Express' ]
+      })
+      expect(JSON.stringify(PageAnimate.HSCROLL)).to.equal('"HSCROLL"')
+    })
+  })
+
+  describe('The fromJSON method', () => {
+    it('Should round trip the JSON representation', () => {
+      let page = Page.fromJSON(new Page(PageAnimate.NONE, 3, '_12:34 FUNKYTOWN~5_Limited Express').toJSON())
+      expect(page.toString()).to.equal('N3^_12:34 FUNKYTOWN~5_Limited Express')
+      expect(PageAnimate.fromJSON('VSCROLL')).to.equal(PageAnimate.VSCROLL)
+    })
+
+    it('Should apply the defaults', () => {
+      expect(Page.fromJSON({ lines: [ 'Hello' ] }).toString()).to.equal('N5^Hello')
+      expect(Page.fromJSON({ lines: [ 'Hello' ] }, PageAnimate.HSCROLL, 0).toString()).to.equal('H0^Hello')
+    })
+
+    it('Should reject invalid pages', () => {
+      expect(() => Page.fromJSON({ animate: 'V', lines: [] })).to.throw(PIDValidationError, /Invalid animate name V/)
+      expect(() => Page.fromJSON({ lines: 'Hello' })).to.throw(PIDValidationError, /Lines must be an array/)
+      expect(() => Page.fromJSON({ lines: [ 'a_b' ] })).to.throw(PIDValidationError, /_ cannot be used in a line/)
+      expect(() => Page.fromJSON({ lines: [ { left: 'a~' , right: 'b' } ] })).to.throw(PIDValidationError, /~ cannot be used/)
+      expect(() => Page.fromJSON({ lines: [ { left: 'a' } ] })).to.throw(PIDValidationError, /not a string/)
+      expect(() => Page.fromJSON({ delay: 99, lines: [ 'Hello' ] })).to.throw(PIDValidationError, /Delay 99/)
+    })
+  })
+
   describe('The toBytes method', () => {
     it('Should convert the page attributes into byte data', () => {
       let expected = [
@@ -141,9 +217,83 @@ describe('The Page constants', () => {
       let page = Page.fromBytes(Buffer.from(expected))
       expect(page.getText()).to.equal('Hello World_Hello World~H')
     })
+
+    it('Should decode bytes outside the character set as U+FFFD without throwing', () => {
+      let page = Page.fromBytes(Buffer.from([ 0x1D, 0x00, 40, 0x00, 0x41, 0xC0, 0x42 ]))
+      expect(page.getText()).to.equal('A\uFFFDB')
+      expect(() => page.toBytes()).to.throw(PIDValidationError)
+    })
+
+    it('Should turn right-justification padding back into ~', () => {
+      let page = Page.fromBytes(Page.fromStr('V35^Hello World~A_Trailing   ').toBytes())
+      expect(page.getText()).to.equal('Hello World~A_Trailing')
+    })
+  })
+
+  describe('The measure method', () => {
+    it('Should give the pixel width of each line', () => {
+      let layout = Page.measure('12:34 FUNKYTOWN~5_Limited Express')
+      expect(layout.offset).to.equal(0)
+      expect(layout.lines.map(line => line.width)).to.deep.equal([ 92, 84 ])
+      expect(layout.linesFit).to.equal(2)
+      expect(layout.clipped).to.be.false
+    })
+
+    it('Should find lines wider than the display', () => {
+      let layout = Page.measure('Stops all stations except East Richmond_Hi')
+      expect(layout.lines.map(line => line.overflows)).to.deep.equal([ true, false ])
+      expect(layout.clipped).to.be.true
+      expect(Page.measure('Stops all stations except East Richmond', PageAnimate.HSCROLL).clipped).to.be.false
+    })
+
+    it('Should count the lines that fit below the offset', () => {
+      let layout = Page.measure('_One_Two')
+      expect(layout.offset).to.equal(1)
+      expect(layout.lines.map(line => line.visible)).to.deep.equal([ true, false ])
+      expect(layout.linesFit).to.equal(1)
+      expect(layout.clipped).to.be.true
+    })
+
+    it('Should measure special unicode characters', () => {
+      expect(Page.measure('·•').lines[0].width).to.equal(5)
+    })
+
+    it('Should throw for characters of unknown width', () => {
+      expect(() => Page.measure('Platform #1')).to.throw(RangeError, /Unknown width for character #/)
+      expect(Page.fromStr('Platform #1').toBytes()).to.have.length(15)
+    })
+  })
+
+  describe('The validate method', () => {
+    it('Should reject characters of unknown width on right-justified lines', () => {
+      let problems = Page.validate(PageAnimate.NONE, 0, 'Fare $5_Fare $5~now')
+      expect(problems).to.have.length(1)
+      expect(problems[0]).to.be.instanceOf(PIDValidationError)
+      expect(problems[0]).to.include({ field: 'text', value: '$', position: 13 })
+      expect(() => Page.fromStr('Platform~#1')).to.throw(PIDValidationError, /# cannot be right-justified/)
+    })
+
+    it('Should reject more than one ~ on a line', () => {
+      let problems = Page.validate(PageAnimate.NONE, 0, 'a~b_c~d~e')
+      expect(problems).to.have.length(1)
+      expect(problems[0]).to.include({ field: 'text', value: '~', position: 7 })
+      expect(() => Page.fromStr('a~b~c')).to.throw(PIDValidationError, /Only one ~ can be used on a line/)
+    })
+  })
+
+  describe('The layout method', () => {
+    it('Should measure the page text using its animation', () => {
+      let text = 'Stops all stations except East Richmond'
+      expect(new Page(PageAnimate.VSCROLL, 10, text).layout().clipped).to.be.true
+      expect(new Page(PageAnimate.HSCROLL, 0, text).layout().clipped).to.be.false
+    })
   })
 
   describe('The encodeText method', () => {
+    it('Should throw for characters that cannot be displayed', () => {
+      expect(() => Page.encodeText('50%')).to.throw(PIDValidationError, /% not in allowed characters/)
+    })
+
     it('Should convert an ASCII string to its ASCII values', () => {
       let expected = [ 0x48, 0x65, 0x6c, 0x6c, 0x6f, 0x20, 0x57, 0x6f, 0x72, 0x6c, 0x64 ]
       expect(Page.encodeText('Hello World')).to.deep.equal(expected)
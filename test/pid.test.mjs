@@ -0,0 +1,263 @@
+import { expect } from 'chai'
+import EventEmitter from 'events'
+import { AckTimeoutError, DisplayMessage, PID, ResponseMessage, inspect } from '../index.mjs'
+import { encode } from '../dlestxetx.mjs'
+import { CRCError, crc } from '../crc.mjs'
+
+const sleep = ms => new Promise(r => setTimeout(r, ms))
+
+class FakeSerial extends EventEmitter {
+  written = []
+  responses = []
+  autoAck = false
+  ackDelay = 0
+
+  write(data) {
+    this.written.push(Buffer.from(data))
+    let response = this.responses.length ? this.responses.shift() : this.autoAck && [ 0x01, 0x52, 0x09, 0x00 ]
+    if (response) setTimeout(() => this.reply(response), this.ackDelay)
+  }
+
+  drain(callback) { setImmediate(callback) }
+  close(callback) { setImmediate(callback) }
+
+  texts() {
+    return this.written.map(packet => inspect(packet)).filter(message => message instanceof DisplayMessage).map(message => message.getPages()[0].getText())
+  }
+
+  pings() {
+    return this.written.filter(packet => packet[2] === 0x01 && packet[3] === 0x50).length
+  }
+
+  reply(bytes) {
+    let packet = encode(Buffer.from([ ...bytes, ...crc(bytes) ]))
+    this.emit('data', PID._encodeLine(packet))
+  }
+}
+
+describe('The PID class', () => {
+  describe('Reading from the display', () => {
+    it('Should emit each received packet as a message', () => {
+      let serial = new FakeSerial()
+      let pid = new PID(serial)
+      let messages = []
+      pid.on('message', message => messages.push(message))
+
+      serial.reply([ 0x01, 0x52, 0x09, 0x00 ])
+      serial.reply([ 0x01, 0x52, 0x0A, 0x00 ])
+
+      expect(messages.length).to.equal(2)
+      expect(messages[0]).to.be.instanceOf(ResponseMessage)
+      expect(messages[1].toBytes()).to.deep.equal([ 0x01, 0x52, 0x0A, 0x00 ])
+    })
+
+    it('Should emit packets that cannot be inspected as invalid packets', () => {
+      let serial = new FakeSerial()
+      let pid = new PID(serial)
+      let invalid = []
+      pid.on('invalid-packet', (err, packet) => invalid.push(err))
+
+      serial.reply([ 0x01, 0x77, 0x09 ])
+
+      expect(invalid.length).to.equal(1)
+      expect(invalid[0]).to.be.instanceOf(RangeError)
+    })
+
+    it('Should emit acknowledgements with an incorrect CRC as CRC errors without failing the send', async () => {
+      let serial = new FakeSerial()
+      let pid = new PID(serial, false, 0x01, { ackTimeout: 20 })
+      let errors = []
+      pid.on('crc-error', (err, packet) => errors.push([ err, packet ]))
+
+      let sent = pid.send('Hello').catch(e => e)
+      await sleep(0)
+      serial.emit('data', PID._encodeLine(encode(Buffer.from([ 0x01, 0x52, 0x09, 0x00, 0x12, 0x34 ]))))
+
+      expect(await sent).to.be.instanceOf(AckTimeoutError)
+      expect(errors.length).to.equal(1)
+      expect(errors[0][0]).to.be.instanceOf(CRCError)
+      expect(errors[0][0].actual).to.deep.equal(Buffer.from([ 0x12, 0x34 ]))
+      expect(errors[0][1]).to.deep.equal(encode(Buffer.from([ 0x01, 0x52, 0x09, 0x00, 0x12, 0x34 ])))
+    })
+  })
+
+  describe('The send method', () => {
+    it('Should frame the message and resolve with the acknowledgement', async () => {
+      let serial = new FakeSerial()
+      let pid = new PID(serial)
+      serial.responses.push([ 0x01, 0x52, 0x09, 0x00 ])
+
+      let response = await pid.send('V^Hello')
+      expect(response).to.be.instanceOf(ResponseMessage)
+      expect(response.getAddress()).to.equal(0x01)
+      expect(serial.written[0].subarray(0, 5)).to.deep.equal(Buffer.from([ 0x10, 0x02, 0x01, 0x44, 0x00 ]))
+    })
+
+    it('Should ignore responses from other addresses', async () => {
+      let serial = new FakeSerial()
+      let pid = new PID(serial, false, 0x01, { ackTimeout: 20 })
+      serial.responses.push([ 0x02, 0x52, 0x08, 0x00 ])
+
+      let error = await pid.send('Hello').catch(e => e)
+      expect(error).to.be.instanceOf(AckTimeoutError)
+      expect(error.address).to.equal(0x01)
+      expect(error.timeout).to.equal(20)
+    })
+
+    it('Should retry unacknowledged packets', async () => {
+      let serial = new FakeSerial()
+      let pid = new PID(serial, false, 0x01, { ackTimeout: 20, retries: 2, retryDelay: 1 })
+      serial.responses.push(null, null, [ 0x01, 0x52, 0x09, 0x00 ])
+
+      let response = await pid.send('Hello')
+      expect(response).to.be.instanceOf(ResponseMessage)
+      expect(serial.written.length).to.equal(3)
+      expect(serial.written[2]).to.deep.equal(serial.written[0])
+    })
+
+    it('Should reject once all retries are exhausted', async () => {
+      let serial = new FakeSerial()
+      let pid = new PID(serial, false, 0x01, { ackTimeout: 10, retryDelay: 1 })
+
+      let error = await pid.send('Hello', { retries: 1 }).catch(e => e)
+      expect(error).to.be.instanceOf(AckTimeoutError)
+      expect(serial.written.length).to.equal(2)
+    })
+
+    it('Should not wait for a response when responses are ignored', async () => {
+      let serial = new FakeSerial()
+      let pid = new PID(serial, true)
+
+      expect(await pid.send('Hello')).to.equal(undefined)
+      expect(serial.written.length).to.equal(1)
+    })
+  })
+
+  describe('The keep-alive scheduler', () => {
+    it('Should ping the display when nothing else is sent', async () => {
+      let serial = new FakeSerial()
+      serial.autoAck = true
+      let pid = new PID(serial)
+
+      pid.startKeepAlive({ intervalMs: 20 })
+      await sleep(75)
+      pid.stopKeepAlive()
+
+      expect(serial.pings()).to.be.within(2, 4)
+    })
+
+    it('Should not ping while other messages are being sent', async () => {
+      let serial = new FakeSerial()
+      serial.autoAck = true
+      let pid = new PID(serial)
+
+      pid.startKeepAlive({ intervalMs: 30 })
+      for (let i = 0; i < 6; i++) {
+        await pid.send('Hello')
+        await sleep(10)
+      }
+      pid.stopKeepAlive()
+
+      expect(serial.pings()).to.equal(0)
+      expect(serial.written.length).to.equal(6)
+    })
+
+    it('Should emit keepalive-failed when a ping is not acknowledged', async () => {
+      let serial = new FakeSerial()
+      let pid = new PID(serial, false, 0x01, { ackTimeout: 10 })
+      let failures = []
+      pid.on('keepalive-failed', err => failures.push(err))
+
+      pid.startKeepAlive({ intervalMs: 10 })
+      await sleep(60)
+      pid.stopKeepAlive()
+
+      expect(failures.length).to.be.at.least(1)
+      expect(failures[0]).to.be.instanceOf(AckTimeoutError)
+    })
+
+    it('Should stop pinging once stopped', async () => {
+      let serial = new FakeSerial()
+      serial.autoAck = true
+      let pid = new PID(serial)
+
+      pid.startKeepAlive({ intervalMs: 10 })
+      pid.stopKeepAlive()
+      await sleep(30)
+
+      expect(serial.pings()).to.equal(0)
+    })
+  })
+
+  describe('The send queue', () => {
+    it('Should wait for each acknowledgement before writing the next packet', async () => {
+      let serial = new FakeSerial()
+      serial.autoAck = true
+      serial.ackDelay = 10
+      let pid = new PID(serial)
+
+      let sends = [ pid.send('V^A'), pid.send(Buffer.from([ 0x01, 0x44, 0x00 ])) ]
+      await sleep(5)
+      expect(serial.written.length).to.equal(1)
+      expect(pid.pending).to.equal(2)
+
+      await Promise.all(sends)
+      expect(serial.written.length).to.equal(2)
+      expect(pid.pending).to.equal(0)
+    })
+
+    it('Should send display updates before pings', async () => {
+      let serial = new FakeSerial()
+      serial.autoAck = true
+      serial.ackDelay = 5
+      let pid = new PID(serial)
+
+      await Promise.all([ pid.send('V^A'), pid.ping(), pid.send('V^B') ])
+      expect(serial.pings()).to.equal(1)
+      expect(serial.texts()).to.deep.equal([ 'A', 'B' ])
+      expect(serial.written[2].subarray(2, 4)).to.deep.equal(Buffer.from([ 0x01, 0x50 ]))
+    })
+
+    it('Should replace queued display messages with newer ones', async () => {
+      let serial = new FakeSerial()
+      serial.autoAck = true
+      serial.ackDelay = 5
+      let pid = new PID(serial)
+
+      let sends = [ pid.send('V^A'), pid.send('V^B'), pid.send('V^C') ]
+      expect(pid.pending).to.equal(2)
+
+      let responses = await Promise.all(sends)
+      expect(serial.texts()).to.deep.equal([ 'A', 'C' ])
+      expect(responses[1]).to.equal(responses[2])
+    })
+
+    it('Should reject every caller of a coalesced message that fails', async () => {
+      let serial = new FakeSerial()
+      let pid = new PID(serial, false, 0x01, { ackTimeout: 5 })
+
+      let sends = [ pid.send('V^A'), pid.send('V^B'), pid.send('V^C') ].map(send => send.catch(e => e))
+      let errors = await Promise.all(sends)
+      expect(errors.every(error => error instanceof AckTimeoutError)).to.be.true
+      expect(serial.written.length).to.equal(2)
+    })
+
+    it('Should reject queued data and stop retrying once closed', async () => {
+      let serial = new FakeSerial()
+      let pid = new PID(serial, false, 0x01, { ackTimeout: 10, retries: 2, retryDelay: 5 })
+
+      let sends = [ pid.send('V^A'), pid.ping() ].map(send => send.catch(e => e))
+      await pid.close()
+
+      let [ inFlight, queued ] = await Promise.all(sends)
+      expect(inFlight).to.be.instanceOf(AckTimeoutError)
+      expect(queued.message).to.match(/closed before the data was sent/)
+      expect(serial.written.length).to.equal(1)
+      expect(pid.pending).to.equal(0)
+
+      let error = await pid.send('V^B').catch(e => e)
+      expect(error.message).to.match(/closed PID/)
+      expect(serial.written.length).to.equal(1)
+    })
+  })
+})
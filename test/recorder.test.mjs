@@ -0,0 +1,164 @@
+import { expect } from 'chai'
+import { mkdtemp, readFile, rm } from 'fs/promises'
+import { tmpdir } from 'os'
+import path from 'path'
+import { Recorder, Replayer } from '../recorder.mjs'
+import { MockPIDDevice } from '../mock-device.mjs'
+import { DisplayMessage, PID, ResponseMessage } from '../index.mjs'
+import { encode } from '../dlestxetx.mjs'
+import { crc } from '../crc.mjs'
+
+describe('The Recorder class', () => {
+  let directory
+
+  before(async () => {
+    directory = await mkdtemp(path.join(tmpdir(), 'metlink-pid-'))
+  })
+
+  after(() => rm(directory, { recursive: true }))
+
+  it('Should log every frame written and received as JSON lines', async () => {
+    let file = path.join(directory, 'session.jsonl')
+    let device = new MockPIDDevice()
+    let pid = new PID(device)
+
+    let time = new Date('2026-10-20T00:00:00Z')
+    let recorder = new Recorder(pid, file, { now: () => time })
+
+    time = new Date('2026-10-20T00:00:01Z')
+    await pid.send('Hello')
+    device.corruptAcks(1)
+    pid.ping().catch(() => {})
+    await new Promise(resolve => pid.once('invalid-packet', resolve))
+    await recorder.stop()
+
+    await pid.send('Unrecorded')
+    await pid.close()
+
+    let lines = (await readFile(file, 'utf8')).trim().split('\n').map(line => JSON.parse(line))
+    expect(lines.map(entry => entry.direction)).to.deep.equal([ 'out', 'data', 'in', 'out', 'data', 'in' ])
+
+    let entries = lines.filter(entry => entry.direction !== 'data')
+
+    let bytes = DisplayMessage.fromStr('Hello', 0x01).toBytes()
+    expect(entries[0]).to.deep.include({
+      time: '2026-10-20T00:00:01.000Z',
+      elapsed: 1000,
+      hex: encode(Buffer.from([ ...bytes, ...crc(bytes) ])).toString('hex')
+    })
+    expect(entries[0].description).to.include('String: V10^Hello')
+    expect(entries[1].description).to.match(/^ResponseMessage for address 1/)
+    expect(entries[3].error).to.match(/^CRCError: Got CRC value/)
+  })
+
+  it('Should log the bytes read from the serial port as they were read', async () => {
+    let file = path.join(directory, 'noise.jsonl')
+    let device = new MockPIDDevice()
+    let pid = new PID(device)
+    let recorder = new Recorder(pid, file)
+
+    device.injectGarbage([ 0x00, 0x01 ])
+    await recorder.stop()
+    await pid.close()
+
+    let entries = (await readFile(file, 'utf8')).trim().split('\n').map(line => JSON.parse(line))
+    expect(entries).to.have.length(1)
+    expect(entries[0]).to.include({ direction: 'data', hex: '0001' })
+    expect(entries[0]).to.not.have.any.keys('description', 'error')
+  })
+})
+
+describe('The Replayer class', () => {
+  let directory
+
+  before(async () => {
+    directory = await mkdtemp(path.join(tmpdir(), 'metlink-pid-'))
+  })
+
+  after(() => rm(directory, { recursive: true }))
+
+  async function recordSession() {
+    let file = path.join(directory, `session-${Math.random()}.jsonl`)
+    let device = new MockPIDDevice()
+    let pid = new PID(device)
+    let recorder = new Recorder(pid, file)
+
+    await pid.send('One')
+    await new Promise(resolve => setTimeout(resolve, 50))
+    device.injectGarbage([ 0x00, 0x00 ])
+    await pid.send('Two')
+    await recorder.stop()
+    await pid.close()
+
+    return Replayer.load(file)
+  }
+
+  it('Should send the frames written through a PID at the original timing', async () => {
+    let replayer = await recordSession()
+    expect(replayer.getEntries().filter(entry => entry.direction !== 'data')).to.have.length(4)
+
+    let device = new MockPIDDevice()
+    let started = performance.now()
+    await replayer.replay(new PID(device))
+
+    expect(performance.now() - started).to.be.at.least(45)
+    expect(device.getReceived().map(message => message.toString())).to.deep.equal([ 'V10^One', 'V10^Two' ])
+  })
+
+  it('Should replay accelerated', async () => {
+    let replayer = await recordSession()
+
+    let device = new MockPIDDevice()
+    let frames = []
+    replayer.on('frame', entry => frames.push(entry.direction))
+
+    let started = performance.now()
+    await replayer.replay(new PID(device), { speed: Infinity })
+
+    expect(performance.now() - started).to.be.below(45)
+    expect(frames).to.deep.equal([ 'out', 'in', 'out', 'in' ])
+    expect(device.getReceived()).to.have.length(2)
+  })
+
+  it('Should replay both directions through a serial port', async () => {
+    let replayer = await recordSession()
+
+    let device = new MockPIDDevice({ addresses: [] })
+    let pid = new PID(device)
+    let messages = []
+    pid.on('message', message => messages.push(message))
+
+    await replayer.replay(device, { speed: 10 })
+
+    expect(device.getReceived().map(message => message.toString())).to.deep.equal([ 'V10^One', 'V10^Two' ])
+    expect(messages).to.have.length(2)
+    expect(messages.every(message => message instanceof ResponseMessage)).to.be.true
+    expect(pid.getStats()).to.deep.include({ framingErrors: 1 })
+  })
+
+  it('Should replay the frames read from the display of a log without the bytes read', async () => {
+    let recorded = await recordSession()
+    let replayer = new Replayer(recorded.getEntries().filter(entry => entry.direction !== 'data'))
+
+    let device = new MockPIDDevice({ addresses: [] })
+    let pid = new PID(device)
+    let messages = []
+    pid.on('message', message => messages.push(message))
+
+    await replayer.replay(device, { speed: Infinity })
+
+    expect(messages).to.have.length(2)
+    expect(pid.getStats()).to.deep.include({ framingErrors: 0 })
+  })
+
+  it('Should stop when aborted', async () => {
+    let replayer = await recordSession()
+    let device = new MockPIDDevice()
+    let controller = new AbortController()
+
+    replayer.once('frame', () => controller.abort())
+    await replayer.replay(new PID(device), { signal: controller.signal })
+
+    expect(device.getReceived().map(message => message.toString())).to.deep.equal([ 'V10^One' ])
+  })
+})
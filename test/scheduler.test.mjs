@@ -0,0 +1,131 @@
+import { expect } from 'chai'
+import { MessageScheduler } from '../scheduler.mjs'
+import { MockPIDDevice } from '../mock-device.mjs'
+import { PID, PIDValidationError } from '../index.mjs'
+
+// Tuesday 20 October 2026, 08:00 local time
+const MORNING = new Date(2026, 9, 20, 8, 0)
+
+function switches(scheduler, count) {
+  let events = []
+  return new Promise(resolve => scheduler.on('switch', (entry, reason) => {
+    events.push([ entry.message.toString(), reason ])
+    if (events.length === count) resolve(events)
+  }))
+}
+
+describe('The MessageScheduler class', () => {
+  let device, pid, scheduler
+
+  beforeEach(() => {
+    device = new MockPIDDevice()
+    pid = new PID(device)
+    scheduler = new MessageScheduler(pid, { now: () => MORNING })
+  })
+
+  afterEach(() => scheduler.stop())
+
+  it('Should rotate the playlist in order', async () => {
+    scheduler.add({ message: 'One', duration: 10 })
+    scheduler.add({ message: 'Two', duration: 10 })
+
+    let events = switches(scheduler, 3)
+    scheduler.start()
+
+    expect(await events).to.deep.equal([
+      [ 'V10^One', 'playlist' ],
+      [ 'V10^Two', 'playlist' ],
+      [ 'V10^One', 'playlist' ]
+    ])
+    expect(device.getReceived().slice(0, 3).map(message => message.toString())).to.deep.equal([ 'V10^One', 'V10^Two', 'V10^One' ])
+  })
+
+  it('Should not resend a message that is already shown', async () => {
+    scheduler.add({ message: 'Only', duration: 5 })
+    scheduler.start()
+
+    await new Promise(resolve => setTimeout(resolve, 30))
+    expect(device.getReceived().map(message => message.toString())).to.deep.equal([ 'V10^Only' ])
+  })
+
+  it('Should only show active entries with the highest priority', () => {
+    let tuesday = scheduler.add({ message: 'Peak', duration: 10, priority: 1, from: '07:00', until: '09:00', days: [ 'Tue' ] })
+    scheduler.add({ message: 'Usual', duration: 10 })
+    scheduler.add({ message: 'Night', duration: 10, priority: 2, from: '22:00', until: '05:00' })
+
+    let [ peak, usual, night ] = scheduler.getPlaylist()
+    expect(peak.id).to.equal(tuesday)
+
+    expect(scheduler.isActive(peak)).to.be.true
+    expect(scheduler.isActive(peak, new Date(2026, 9, 20, 9, 0))).to.be.false
+    expect(scheduler.isActive(peak, new Date(2026, 9, 21, 8, 0))).to.be.false
+    expect(scheduler.isActive(usual)).to.be.true
+    expect(scheduler.isActive(night)).to.be.false
+    expect(scheduler.isActive(night, new Date(2026, 9, 20, 23, 0))).to.be.true
+    expect(scheduler.isActive(night, new Date(2026, 9, 20, 4, 59))).to.be.true
+
+    scheduler.start()
+    expect(scheduler.getCurrent().message.toString()).to.equal('V10^Peak')
+  })
+
+  it('Should go idle when no entry is active', async () => {
+    scheduler.add({ message: 'Evening', duration: 10, from: '17:00', until: '19:00' })
+
+    let idle = new Promise(resolve => scheduler.once('idle', resolve))
+    scheduler.start()
+    await idle
+
+    expect(scheduler.getCurrent()).to.be.null
+    expect(device.getReceived()).to.be.empty
+  })
+
+  it('Should pre-empt the playlist with announcements then resume it', async () => {
+    scheduler.add({ message: 'One', duration: 40 })
+    scheduler.add({ message: 'Two', duration: 40 })
+
+    let events = switches(scheduler, 5)
+    scheduler.start()
+
+    let shown = scheduler.announce('Delay', { duration: 10 })
+    scheduler.announce('Urgent', { duration: 10, priority: 1 })
+    await shown
+
+    expect(await events).to.deep.equal([
+      [ 'V10^One', 'playlist' ],
+      [ 'V10^Delay', 'announcement' ],
+      [ 'V10^Urgent', 'announcement' ],
+      [ 'V10^One', 'resume' ],
+      [ 'V10^Two', 'playlist' ]
+    ])
+  })
+
+  it('Should show the next entry when the current one is removed', () => {
+    let one = scheduler.add({ message: 'One', duration: 1000 })
+    scheduler.add({ message: 'Two', duration: 1000 })
+    scheduler.start()
+
+    expect(scheduler.remove(one)).to.be.true
+    expect(scheduler.remove(one)).to.be.false
+    expect(scheduler.getCurrent().message.toString()).to.equal('V10^Two')
+  })
+
+  it('Should emit an event when a message cannot be sent', async () => {
+    let failed = new Promise(resolve => scheduler.once('send-failed', (error, entry) => resolve([ error, entry ])))
+    device.close()
+
+    scheduler.add({ message: 'One', duration: 1000 })
+    scheduler.start()
+
+    let [ error, entry ] = await failed
+    expect(error).to.be.an('error')
+    expect(entry.message.toString()).to.equal('V10^One')
+  })
+
+  it('Should reject invalid entries', () => {
+    expect(() => scheduler.add({ message: 'Funky_town', duration: 10 })).not.to.throw()
+    expect(() => scheduler.add({ message: 'Q^Bad', duration: 10 })).to.throw(PIDValidationError)
+    expect(() => scheduler.add({ message: 'One', duration: 0 })).to.throw(RangeError)
+    expect(() => scheduler.add({ message: 'One', duration: 10, from: '7am' })).to.throw(RangeError, /Invalid time of day/)
+    expect(() => scheduler.add({ message: 'One', duration: 10, days: [ 'Someday' ] })).to.throw(RangeError, /Invalid day/)
+  })
+})
@@ -0,0 +1,111 @@
+import { expect } from 'chai'
+import { DisplayMessage } from '../index.mjs'
+import { MessageSimulator } from '../simulator.mjs'
+import { VirtualDisplay } from '../virtual-display.mjs'
+
+// A minimal GIF decoder, enough to read back the frames written by toGIF
+function decodeGIF(gif) {
+  let width = gif.readUInt16LE(6)
+  let height = gif.readUInt16LE(8)
+  let index = 13 + 6 + 19
+  let frames = []
+
+  while (gif[index] !== 0x3B) {
+    let delay = gif.readUInt16LE(index + 4)
+    index += 8 + 10
+
+    let minCodeSize = gif[index++]
+    let data = []
+    while (gif[index] !== 0) {
+      data.push(...gif.subarray(index + 1, index + 1 + gif[index]))
+      index += gif[index] + 1
+    }
+    index++
+
+    let clearCode = 1 << minCodeSize
+    let codeSize = minCodeSize + 1
+    let table = []
+    let pixels = []
+    let previous = null
+    let bit = 0
+
+    while (true) {
+      let code = 0
+      for (let i = 0; i < codeSize; i++, bit++) code |= ((data[bit >> 3] >> (bit & 7)) & 1) << i
+
+      if (code === clearCode) {
+        table = Array.from({ length: clearCode + 2 }, (_, i) => [ i ])
+        codeSize = minCodeSize + 1
+        previous = null
+        continue
+      }
+      if (code === clearCode + 1) break
+
+      let entry = code < table.length ? table[code] : [ ...table[previous], table[previous][0] ]
+      pixels.push(...entry)
+      if (previous !== null) table.push([ ...table[previous], entry[0] ])
+      if (table.length === 1 << codeSize && codeSize < 12) codeSize++
+      previous = code
+    }
+
+    frames.push({ delay, pixels })
+  }
+
+  return { width, height, frames }
+}
+
+describe('The MessageSimulator class', () => {
+  it('Should show NONE pages instantly for their delay', () => {
+    let simulator = new MessageSimulator(DisplayMessage.fromStr('N5^Hello|N2^World'))
+    let frames = [ ...simulator.frames() ]
+
+    expect(frames.map(frame => [ frame.page, frame.time, frame.duration ])).to.deep.equal([
+      [ 0, 0, 5000 ],
+      [ 1, 5000, 2000 ]
+    ])
+    expect(simulator.getDuration()).to.equal(7000)
+  })
+
+  it('Should scroll VSCROLL pages up from the bottom, one row per frame', () => {
+    let simulator = new MessageSimulator(DisplayMessage.fromStr('V1^I'), { vscrollSpeed: 10 })
+    let frames = [ ...simulator.frames() ]
+
+    expect(frames.length).to.equal(VirtualDisplay.HEIGHT)
+    expect(frames[0].bitmap.toArray()[VirtualDisplay.HEIGHT - 1].slice(0, 3)).to.deep.equal([ 1, 1, 1 ])
+    expect(frames[0].bitmap.toArray()[0].slice(0, 3)).to.deep.equal([ 0, 0, 0 ])
+    expect(frames[15].bitmap.toASCII()).to.equal(VirtualDisplay.renderPage(DisplayMessage.fromStr('I').getPages()[0]).toASCII())
+    expect(simulator.getDuration()).to.equal(VirtualDisplay.HEIGHT * 100 + 1000)
+  })
+
+  it('Should scroll HSCROLL pages through the display, pushing out the previous page', () => {
+    let simulator = new MessageSimulator(DisplayMessage.fromStr('N1^I|H2^I'), { hscrollSpeed: 100 })
+    let frames = [ ...simulator.frames() ].filter(frame => frame.page === 1)
+
+    // The 3 pixel wide I scrolls 120 columns to the left edge, then 4 more to leave
+    expect(frames.length).to.equal(VirtualDisplay.WIDTH + 4)
+    expect(frames[0].bitmap.toArray()[0].slice(0, 3)).to.deep.equal([ 1, 1, 0 ])
+    expect(frames[0].bitmap.toArray()[0][119]).to.equal(1)
+    expect(frames[frames.length - 1].bitmap.toASCII()).to.not.include('#')
+    expect(frames[frames.length - 1].duration).to.equal(2010)
+    expect(simulator.getDuration()).to.equal(1000 + 124 * 10 + 2000)
+  })
+
+  it('Should export an animated GIF of every frame', () => {
+    let simulator = new MessageSimulator(DisplayMessage.fromStr('N1^12:34 FUNKYTOWN~5_Limited Express|N2^Hello'))
+    let gif = simulator.toGIF(2)
+    expect(gif.subarray(0, 6).toString()).to.equal('GIF89a')
+
+    let { width, height, frames } = decodeGIF(gif)
+    expect(width).to.equal(240)
+    expect(height).to.equal(32)
+    expect(frames.map(frame => frame.delay)).to.deep.equal([ 100, 200 ])
+
+    let expected = [ ...simulator.frames() ][0].bitmap
+    let pixels = frames[0].pixels
+    for (let y = 0; y < height; y += 2) {
+      for (let x = 0; x < width; x += 2) {
+        if (pixels[y * width + x] !== (expected.get(x / 2, y / 2) ? 1 : 0)) throw new Error(`Pixel ${x}, ${y} differs`)
+      }
+    }
+  })
+})
@@ -0,0 +1,113 @@
+import { expect } from 'chai'
+import EventEmitter from 'events'
+import { PIDSniffer } from '../sniffer.mjs'
+import { MockPIDDevice } from '../mock-device.mjs'
+import { DisplayMessage, PID, PingMessage, ResponseMessage } from '../index.mjs'
+import { encode } from '../dlestxetx.mjs'
+import { crc } from '../crc.mjs'
+
+/**
+ * A serial port tapped into the line between a `PID` and a `MockPIDDevice`,
+ * carrying what each of them sends.
+ */
+class Tap extends EventEmitter {
+  closed = false
+
+  constructor(pid, device) {
+    super()
+    pid.on('frame', (direction, packet) => {
+      if (direction === 'out') this.emit('data', packet)
+    })
+    device.on('data', data => this.emit('data', data))
+  }
+
+  write() { throw new Error('A sniffer should never write') }
+  close(callback) {
+    this.closed = true
+    setImmediate(callback)
+  }
+}
+
+describe('The PIDSniffer class', () => {
+  let device, pid, tap, sniffer, frames
+
+  beforeEach(() => {
+    device = new MockPIDDevice()
+    pid = new PID(device)
+    tap = new Tap(pid, device)
+    sniffer = new PIDSniffer(tap)
+
+    frames = []
+    sniffer.on('frame', frame => frames.push(frame))
+  })
+
+  it('Should decode both directions of traffic', async () => {
+    let displayMessages = [], pings = [], responses = []
+    sniffer.on('display-message', frame => displayMessages.push(frame))
+    sniffer.on('ping', frame => pings.push(frame))
+    sniffer.on('response', frame => responses.push(frame))
+
+    await pid.send('V10^Hello|H0^World')
+    await pid.ping()
+
+    expect(frames.map(frame => frame.direction)).to.deep.equal([ 'controller', 'display', 'controller', 'display' ])
+    expect(frames.map(frame => frame.summary)).to.deep.equal([
+      'controller → 0x01 DisplayMessage V10^Hello|H0^World',
+      `display 0x01 → ResponseMessage unspecified byte 0x${MockPIDDevice.responseByte(1).toString(16).padStart(2, '0')}`,
+      'controller → 0x01 PingMessage unspecified byte 0x6f',
+      `display 0x01 → ResponseMessage unspecified byte 0x${MockPIDDevice.responseByte(1).toString(16).padStart(2, '0')}`
+    ])
+
+    expect(displayMessages).to.have.length(1)
+    expect(displayMessages[0].message).to.be.an.instanceOf(DisplayMessage)
+    expect(pings[0].message).to.be.an.instanceOf(PingMessage)
+    expect(pings[0].message.getUnspecifiedByte()).to.equal(0x6F)
+    expect(responses.map(frame => frame.message)).to.satisfy(messages => messages.every(message => message instanceof ResponseMessage))
+    expect(frames[0].time).to.be.an.instanceOf(Date)
+  })
+
+  it('Should report frames with an incorrect CRC', async () => {
+    let invalid = []
+    sniffer.on('invalid-frame', frame => invalid.push(frame))
+
+    let bytes = new PingMessage(0x6F, 0x02).toBytes()
+    tap.emit('data', encode(Buffer.from([ ...bytes, 0x00, 0x00 ])))
+
+    device.corruptAcks(1)
+    pid.send('Hello', { timeout: 10 }).catch(() => {})
+    await new Promise(resolve => pid.once('invalid-packet', resolve))
+
+    expect(invalid.map(frame => frame.direction)).to.deep.equal([ 'controller', 'display' ])
+    expect(invalid[0].summary).to.match(/^controller → invalid frame 100202506f00001003: Got CRC value 0000 when [0-9a-f]{4} was expected$/)
+    expect(invalid[1].error).to.be.an.instanceOf(RangeError)
+  })
+
+  it('Should decode display messages holding bytes it has no character for', () => {
+    let displayMessages = []
+    sniffer.on('display-message', frame => displayMessages.push(frame))
+
+    let bytes = Buffer.from([ 0x01, 0x44, 0x00, 0x1D, 0x00, 0x28, 0x00, 0x41, 0xC0, 0x42, 0x0D ])
+    tap.emit('data', encode(Buffer.from([ ...bytes, ...crc(bytes) ])))
+
+    expect(displayMessages).to.have.length(1)
+    expect(displayMessages[0].summary).to.equal('controller → 0x01 DisplayMessage V10^A\uFFFDB')
+  })
+
+  it('Should find frames split across reads', () => {
+    let bytes = new PingMessage(0x6F, 0x03).toBytes()
+    let packet = encode(Buffer.from([ ...bytes, ...crc(bytes) ]))
+
+    tap.emit('data', packet.subarray(0, 3))
+    tap.emit('data', packet.subarray(3))
+
+    expect(frames.map(frame => frame.summary)).to.deep.equal([ 'controller → 0x03 PingMessage unspecified byte 0x6f' ])
+  })
+
+  it('Should stop listening when closed', async () => {
+    await sniffer.close()
+    await pid.send('Hello')
+
+    expect(tap.closed).to.be.true
+    expect(frames).to.be.empty
+  })
+})
@@ -0,0 +1,133 @@
+import { expect } from 'chai'
+import { PIDBus } from '../bus.mjs'
+import { MockPIDDevice } from '../mock-device.mjs'
+import { AckTimeoutError, PID } from '../index.mjs'
+import { LATENCY_BUCKETS, PIDStats, StatsExporter, formatPrometheus } from '../stats.mjs'
+
+describe('The PIDStats class', () => {
+  it('Should count events and build a cumulative latency histogram', () => {
+    let stats = new PIDStats(0x02)
+    let time = new Date(1700000000000)
+
+    stats.count('sends')
+    stats.count('sends')
+    stats.ack(20, time)
+    stats.ack(400, time)
+
+    let json = stats.toJSON()
+    expect(json).to.deep.include({ address: 2, sends: 2, acks: 2, retries: 0, timeouts: 0, crcErrors: 0, framingErrors: 0, lastAck: time })
+    expect(json.ackLatency.sum).to.equal(420)
+    expect(json.ackLatency.count).to.equal(2)
+    expect(json.ackLatency.buckets.map(bucket => bucket.le)).to.deep.equal(LATENCY_BUCKETS)
+    expect(json.ackLatency.buckets.map(bucket => bucket.count)).to.deep.equal([ 0, 1, 1, 1, 1, 2, 2, 2, 2 ])
+  })
+
+  it('Should reject unknown counters', () => {
+    expect(() => new PIDStats(1).count('bananas')).to.throw(RangeError, /Unknown counter bananas/)
+  })
+})
+
+describe('The PID statistics', () => {
+  let device, pid
+
+  beforeEach(() => {
+    device = new MockPIDDevice()
+    pid = new PID(device, false, 0x01, { ackTimeout: 20, retries: 1, retryDelay: 1 })
+  })
+
+  it('Should count sends, acknowledgements, retries and timeouts', async () => {
+    await pid.send('Hello')
+    let stats = pid.getStats()
+    expect(stats).to.deep.include({ sends: 1, acks: 1, retries: 0, timeouts: 0 })
+    expect(stats.lastAck).to.be.an.instanceOf(Date)
+    expect(stats.ackLatency.count).to.equal(1)
+
+    device.dropAcks(1)
+    await pid.send('Again')
+    expect(pid.getStats()).to.deep.include({ sends: 3, acks: 2, retries: 1, timeouts: 1 })
+
+    device.dropAcks(2)
+    let error = await pid.send('Lost').catch(e => e)
+    expect(error).to.be.an.instanceOf(AckTimeoutError)
+    expect(pid.getStats()).to.deep.include({ sends: 5, acks: 2, retries: 2, timeouts: 3 })
+  })
+
+  it('Should count CRC and framing errors in what is received', async () => {
+    device.corruptAcks(1)
+    await pid.send('Hello')
+
+    device.injectGarbage([ 0x00, 0x00 ])
+    await pid.ping()
+
+    expect(pid.getStats()).to.deep.include({ crcErrors: 1, framingErrors: 1, acks: 2 })
+  })
+
+  it('Should keep statistics for each display on a bus, and for the line', async () => {
+    let line = new MockPIDDevice({ addresses: [ 0x01, 0x02 ] })
+    let bus = new PIDBus(line)
+
+    line.corruptAcks(1)
+    await bus.pid(0x01, { ackTimeout: 20 }).send('Hello').catch(() => {})
+    await bus.pid(0x02).send('World')
+
+    let stats = bus.getStats()
+    expect(stats).to.deep.include({ crcErrors: 1, framingErrors: 0 })
+    expect(stats.displays.map(({ address, sends, acks, timeouts }) => ({ address, sends, acks, timeouts }))).to.deep.equal([
+      { address: 1, sends: 1, acks: 0, timeouts: 1 },
+      { address: 2, sends: 1, acks: 1, timeouts: 0 }
+    ])
+  })
+})
+
+describe('The Prometheus exporter', () => {
+  it('Should format statistics in the Prometheus text format', () => {
+    let stats = new PIDStats(0x01)
+    stats.count('sends')
+    stats.ack(30, new Date(1700000000000))
+
+    let text = formatPrometheus([ stats.toJSON() ], { crcErrors: 2, framingErrors: 3 })
+
+    expect(text).to.include('# TYPE metlink_pid_sends_total counter\nmetlink_pid_sends_total{address="1"} 1\n')
+    expect(text).to.include('metlink_pid_crc_errors_total{address="1"} 0\nmetlink_pid_crc_errors_total{address="line"} 2\n')
+    expect(text).to.include('metlink_pid_framing_errors_total{address="line"} 3\n')
+    expect(text).not.to.include('metlink_pid_sends_total{address="line"}')
+    expect(text).to.include('metlink_pid_last_ack_timestamp_seconds{address="1"} 1700000000\n')
+    expect(text).to.include('metlink_pid_ack_latency_seconds_bucket{address="1",le="0.025"} 0\n')
+    expect(text).to.include('metlink_pid_ack_latency_seconds_bucket{address="1",le="0.05"} 1\n')
+    expect(text).to.include('metlink_pid_ack_latency_seconds_bucket{address="1",le="+Inf"} 1\n')
+    expect(text).to.include('metlink_pid_ack_latency_seconds_sum{address="1"} 0.03\n')
+    expect(text.endsWith('metlink_pid_ack_latency_seconds_count{address="1"} 1\n')).to.be.true
+  })
+
+  it('Should serve the statistics of a PID over HTTP', async () => {
+    let pid = new PID(new MockPIDDevice())
+    await pid.send('Hello')
+
+    let exporter = new StatsExporter(pid)
+    let port = await exporter.listen({ host: '127.0.0.1' })
+
+    try {
+      let res = await fetch(`http://127.0.0.1:${port}/metrics`)
+      expect(res.status).to.equal(200)
+      expect(res.headers.get('content-type')).to.match(/^text\/plain; version=0\.0\.4/)
+      expect(await res.text()).to.include('metlink_pid_acks_total{address="1"} 1\n')
+
+      expect((await fetch(`http://127.0.0.1:${port}/other`)).status).to.equal(404)
+      expect((await fetch(`http://127.0.0.1:${port}/metrics`, { method: 'POST' })).status).to.equal(405)
+    } finally {
+      await exporter.close()
+    }
+  })
+
+  it('Should export the statistics of several PIDs or a bus', () => {
+    let bus = new PIDBus(new MockPIDDevice({ addresses: [ 0x01, 0x02 ] }))
+    bus.pid(0x01)
+    bus.pid(0x02)
+
+    let text = new StatsExporter(bus).metrics()
+    expect(text).to.include('metlink_pid_sends_total{address="2"} 0\n')
+    expect(text).to.include('metlink_pid_crc_errors_total{address="line"} 0\n')
+
+    expect(new StatsExporter([ bus.pid(0x01) ]).metrics()).not.to.include('address="line"')
+  })
+})
@@ -0,0 +1,183 @@
+import { expect } from 'chai'
+import EventEmitter from 'events'
+import { SupervisedPort } from '../supervised-port.mjs'
+import { MockPIDDevice } from '../mock-device.mjs'
+import { PID } from '../index.mjs'
+
+const once = (emitter, event) => new Promise(resolve => emitter.once(event, (...args) => resolve(args)))
+
+/**
+ * Opens a new `MockPIDDevice` each time, or fails while ``unplugged`` is set.
+ */
+class Opener {
+  devices = []
+  unplugged = false
+
+  open = ({ path }) => {
+    if (this.unplugged) throw new Error(`Cannot open ${path}`)
+
+    let device = new MockPIDDevice()
+    this.devices.push(device)
+    return device
+  }
+
+  get last() { return this.devices[this.devices.length - 1] }
+}
+
+describe('The SupervisedPort class', () => {
+  let opener, port
+
+  beforeEach(() => {
+    opener = new Opener()
+  })
+
+  afterEach(() => port?.close())
+
+  it('Should open the port and pass data through', async () => {
+    port = new SupervisedPort({ path: '/dev/ttyUSB0', openPort: opener.open })
+    expect(port.getState()).to.equal('connecting')
+    expect(port.isOpen).to.be.false
+
+    expect(await once(port, 'connected')).to.deep.equal([ '/dev/ttyUSB0' ])
+    expect(port.getState()).to.equal('connected')
+    expect(port.getPath()).to.equal('/dev/ttyUSB0')
+
+    let data = once(port, 'data')
+    opener.last.emit('data', Buffer.from([ 1, 2 ]))
+    expect(await data).to.deep.equal([ Buffer.from([ 1, 2 ]) ])
+  })
+
+  it('Should reopen the port when it is lost, retrying until it can', async () => {
+    port = new SupervisedPort({ path: '/dev/ttyUSB0', retryDelay: 5, openPort: opener.open })
+    await once(port, 'connected')
+
+    opener.unplugged = true
+    let disconnected = once(port, 'disconnected')
+    opener.last.emit('error', new Error('Device disconnected'))
+
+    expect((await disconnected)[0].message).to.equal('Device disconnected')
+    expect(port.getState()).to.equal('disconnected')
+    expect(() => port.write(Buffer.from([ 0 ]))).to.throw(/not connected/)
+
+    let [ failure ] = await once(port, 'connect-failed')
+    expect(failure.message).to.equal('Cannot open /dev/ttyUSB0')
+
+    opener.unplugged = false
+    await once(port, 'connected')
+    expect(opener.devices).to.have.length(2)
+    expect(opener.devices[0].isOpen).to.be.false
+  })
+
+  it('Should find the port by its USB ids', async () => {
+    let ports = [ { path: '/dev/ttyUSB0', vendorId: '067b', productId: '2303' } ]
+    port = new SupervisedPort({ vendorId: '0403', productId: '6001', retryDelay: 5, openPort: opener.open, listPorts: async () => ports })
+
+    let [ failure ] = await once(port, 'connect-failed')
+    expect(failure.message).to.equal('No port found with vendorId 0403, productId 6001')
+
+    ports = [ ...ports, { path: '/dev/ttyUSB1', vendorId: '0403', productId: '6001' } ]
+    expect(await once(port, 'connected')).to.deep.equal([ '/dev/ttyUSB1' ])
+
+    ports = [ { path: '/dev/ttyUSB3', vendorId: '0403', productId: '6001' } ]
+    opener.last.close()
+    expect(await once(port, 'connected')).to.deep.equal([ '/dev/ttyUSB3' ])
+  })
+
+  it('Should wait for a port to open', async () => {
+    let serial = new EventEmitter()
+    serial.close = callback => callback()
+    port = new SupervisedPort({ path: '/dev/ttyUSB0', openPort: () => serial })
+
+    await new Promise(resolve => setImmediate(resolve))
+    expect(port.getState()).to.equal('connecting')
+
+    serial.isOpen = true
+    serial.emit('open')
+    await once(port, 'connected')
+  })
+
+  it('Should stop reopening the port once closed', async () => {
+    port = new SupervisedPort({ path: '/dev/ttyUSB0', retryDelay: 5, openPort: opener.open })
+    await once(port, 'connected')
+
+    await new Promise(resolve => port.close(resolve))
+    expect(port.getState()).to.equal('closed')
+    expect(opener.last.isOpen).to.be.false
+
+    await new Promise(resolve => setTimeout(resolve, 20))
+    expect(opener.devices).to.have.length(1)
+  })
+
+  it('Should require a path or USB ids', () => {
+    expect(() => new SupervisedPort({})).to.throw(TypeError)
+  })
+})
+
+describe('The PID class with a SupervisedPort', () => {
+  it('Should replay the last message after reconnecting', async () => {
+    let opener = new Opener()
+    let pid = new PID(new SupervisedPort({ path: '/dev/ttyUSB0', retryDelay: 5, openPort: opener.open }))
+
+    await once(pid, 'connected')
+    expect(pid.getConnectionState()).to.equal('connected')
+
+    await pid.send('Hello')
+    await pid.ping()
+    expect(pid.getLastMessage().toString()).to.equal('V10^Hello')
+
+    let disconnected = once(pid, 'disconnected')
+    opener.last.close()
+    await disconnected
+    expect(pid.getConnectionState()).to.equal('disconnected')
+
+    await once(pid, 'connected')
+    while (!opener.last.getReceived().length) await new Promise(resolve => setTimeout(resolve, 5))
+    expect(opener.last.getReceived().map(message => message.toString())).to.deep.equal([ 'V10^Hello' ])
+
+    await pid.close()
+    expect(pid.getConnectionState()).to.equal('closed')
+  })
+
+  it('Should wait for the port to open before sending, without replaying the message sent', async () => {
+    let opener = new Opener()
+    let pid = new PID(new SupervisedPort({ path: '/dev/ttyUSB0', openPort: opener.open }))
+    expect(pid.getConnectionState()).to.equal('connecting')
+
+    await pid.send('Hello')
+    await new Promise(resolve => setTimeout(resolve, 20))
+
+    expect(opener.last.getReceived().map(message => message.toString())).to.deep.equal([ 'V10^Hello' ])
+    await pid.close()
+  })
+
+  it('Should reject sends while disconnected without leaking listeners or replaying them', async () => {
+    let opener = new Opener()
+    let pid = new PID(new SupervisedPort({ path: '/dev/ttyUSB0', retryDelay: 5, openPort: opener.open }), false, 0x01, { ackTimeout: 20 })
+    await once(pid, 'connected')
+
+    opener.unplugged = true
+    opener.last.close()
+    await once(pid, 'disconnected')
+
+    let errors = await Promise.all(Array.from({ length: 12 }, () => pid.ping().catch(e => e)))
+    expect(errors.every(error => /not connected/.test(error.message))).to.be.true
+    expect(await pid.send('Hello').catch(e => e)).to.match(/not connected/)
+    expect(pid.listenerCount('message')).to.equal(0)
+    expect(pid.getLastMessage()).to.be.null
+
+    opener.unplugged = false
+    await once(pid, 'connected')
+    await new Promise(resolve => setTimeout(resolve, 20))
+    expect(opener.last.getReceived()).to.be.empty
+
+    await pid.close()
+  })
+
+  it('Should report whether other ports are open', async () => {
+    let pid = new PID(new MockPIDDevice())
+    expect(pid.getConnectionState()).to.equal('connected')
+
+    await pid.close()
+    expect(pid.getConnectionState()).to.equal('closed')
+  })
+})
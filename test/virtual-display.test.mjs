@@ -0,0 +1,118 @@
+import { expect } from 'chai'
+import { inflateSync } from 'zlib'
+import { GLYPHS, GLYPH_HEIGHT } from '../font.mjs'
+import { DisplayMessage, Page, PingMessage } from '../index.mjs'
+import { Bitmap, VirtualDisplay } from '../virtual-display.mjs'
+import { encode } from '../dlestxetx.mjs'
+import { crc } from '../crc.mjs'
+
+function litColumns(bitmap, top = 0, bottom = bitmap.getHeight()) {
+  let columns = []
+  for (let x = 0; x < bitmap.getWidth(); x++) {
+    for (let y = top; y < bottom; y++) {
+      if (bitmap.get(x, y)) {
+        columns.push(x)
+        break
+      }
+    }
+  }
+
+  return columns
+}
+
+describe('The bundled font', () => {
+  it('Should have a glyph for every character, one pixel narrower than its width', () => {
+    for (let char of Object.keys(Page._TEXT_ENCODING)) {
+      expect(GLYPHS[char], char).to.be.an('array')
+      expect(GLYPHS[char].length, char).to.equal(GLYPH_HEIGHT)
+      if (!(char in Page._WIDTHS_BY_CHAR)) continue
+      for (let row of GLYPHS[char]) expect(row.length + 1, char).to.equal(Page._pixelWidth(char))
+    }
+  })
+})
+
+describe('The Bitmap class', () => {
+  it('Should convert to an array and ASCII art', () => {
+    let bitmap = new Bitmap(3, 2)
+    bitmap.set(0, 0)
+    bitmap.set(2, 1)
+    bitmap.set(5, 5)
+
+    expect(bitmap.toArray()).to.deep.equal([ [ 1, 0, 0 ], [ 0, 0, 1 ] ])
+    expect(bitmap.toASCII()).to.equal('#..\n..#')
+  })
+
+  it('Should encode a PNG image', () => {
+    let bitmap = new Bitmap(3, 2)
+    bitmap.set(1, 0)
+    let png = bitmap.toPNG(2)
+
+    expect(png.subarray(1, 4).toString()).to.equal('PNG')
+    expect(png.readUInt32BE(16)).to.equal(6)
+    expect(png.readUInt32BE(20)).to.equal(4)
+
+    let idatLength = png.readUInt32BE(33)
+    let rows = inflateSync(png.subarray(41, 41 + idatLength))
+    expect([ ...rows.subarray(0, 7) ]).to.deep.equal([ 0, 0, 0, 0xFF, 0xFF, 0, 0 ])
+  })
+})
+
+describe('The VirtualDisplay class', () => {
+  it('Should render each page of a message at the size of the display', () => {
+    let display = new VirtualDisplay()
+    display.load(DisplayMessage.fromStr('Hello|World', 0x01).toBytes())
+
+    let pages = display.render()
+    expect(pages.length).to.equal(2)
+    expect(pages[0].getWidth()).to.equal(120)
+    expect(pages[0].getHeight()).to.equal(16)
+  })
+
+  it('Should draw glyphs from the bundled font', () => {
+    let bitmap = VirtualDisplay.renderPage(Page.fromStr('IT'))
+    expect(bitmap.toASCII().split('\n').map(row => row.slice(0, 10))).to.deep.equal([
+      '###.#####.',
+      '.#....#...',
+      '.#....#...',
+      '.#....#...',
+      '.#....#...',
+      '.#....#...',
+      '###...#...',
+      '..........',
+      '..........',
+      '..........',
+      '..........',
+      '..........',
+      '..........',
+      '..........',
+      '..........',
+      '..........'
+    ])
+  })
+
+  it('Should honour the line offset', () => {
+    let bitmap = VirtualDisplay.renderPage(Page.fromStr('_I_I'))
+    expect(litColumns(bitmap, 0, GLYPH_HEIGHT)).to.deep.equal([])
+    expect(litColumns(bitmap, GLYPH_HEIGHT)).to.deep.equal([ 0, 1, 2 ])
+  })
+
+  it('Should right-justify text using the padding bytes', () => {
+    let bitmap = VirtualDisplay.renderPage(Page.fromStr('12:34~5'))
+    expect(litColumns(bitmap).slice(-1)[0]).to.equal(116)
+  })
+
+  it('Should clip text to the width of the display unless asked not to', () => {
+    let page = Page.fromStr('H^Stops all stations except East Richmond')
+    expect(VirtualDisplay.renderPage(page).getWidth()).to.equal(120)
+    expect(VirtualDisplay.renderPage(page, { clip: false }).getWidth()).to.equal(Page.measure(page.getText()).lines[0].width)
+  })
+
+  it('Should load framed packets', () => {
+    let bytes = DisplayMessage.fromStr('Hello', 0x01).toBytes()
+    let display = new VirtualDisplay()
+    display.load(encode(Buffer.from([ ...bytes, ...crc(bytes) ])))
+
+    expect(display.getMessage().toString()).to.equal('V10^Hello')
+    expect(() => display.load(new PingMessage().toBytes())).to.throw(/Expected a DisplayMessage/)
+  })
+})
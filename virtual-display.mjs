@@ -0,0 +1,238 @@
+import { default as crc32 } from '@taichunmin/crc/crc32'
+import { deflateSync } from 'zlib'
+import { GLYPHS, GLYPH_HEIGHT } from './font.mjs'
+import { DisplayMessage, Page, inspect } from './index.mjs'
+
+const PNG_SIGNATURE = Buffer.from([ 0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A ])
+
+/**
+  A `Bitmap` object holds a monochrome image, such as a rendered `Page`.
+ */
+export class Bitmap {
+
+  #width
+  #height
+  #pixels
+
+  /**
+   * Constructs a new, entirely unlit Bitmap.
+   *
+   * @param {int} width the width in pixels
+   * @param {int} height the height in pixels
+   */
+  constructor(width, height) {
+    this.#width = width
+    this.#height = height
+    this.#pixels = new Uint8Array(width * height)
+  }
+
+  getWidth() { return this.#width }
+  getHeight() { return this.#height }
+
+  /**
+   * Whether a pixel is lit. Pixels outside the bitmap are never lit.
+   *
+   * @param {int} x the column, from the left
+   * @param {int} y the row, from the top
+   * @returns {boolean}
+   */
+  get(x, y) {
+    if (x < 0 || y < 0 || x >= this.#width || y >= this.#height) return false
+    return this.#pixels[y * this.#width + x] === 1
+  }
+
+  /**
+   * Lights or clears a pixel. Pixels outside the bitmap are ignored.
+   *
+   * @param {int} x the column, from the left
+   * @param {int} y the row, from the top
+   * @param {boolean} [lit=true] whether the pixel is lit
+   */
+  set(x, y, lit = true) {
+    if (x < 0 || y < 0 || x >= this.#width || y >= this.#height) return
+    this.#pixels[y * this.#width + x] = lit ? 1 : 0
+  }
+
+  /**
+   * Copies another bitmap onto this one. Unlit pixels of the other bitmap are copied too.
+   *
+   * @param {Bitmap} bitmap the bitmap to copy
+   * @param {int} [left=0] the column to place the left edge of the other bitmap at
+   * @param {int} [top=0] the row to place the top edge of the other bitmap at
+   */
+  draw(bitmap, left = 0, top = 0) {
+    for (let y = 0; y < bitmap.getHeight(); y++) {
+      for (let x = 0; x < bitmap.getWidth(); x++) this.set(left + x, top + y, bitmap.get(x, y))
+    }
+  }
+
+  /**
+   * @returns {int[][]} the rows of the bitmap, each an array of ``1`` (lit) or ``0`` (unlit) pixels
+   */
+  toArray() {
+    return Array.from({ length: this.#height }, (_, y) => Array.from(this.#pixels.subarray(y * this.#width, (y + 1) * this.#width)))
+  }
+
+  /**
+   * @param {string} [lit='#'] the character used for lit pixels
+   * @param {string} [unlit='.'] the character used for unlit pixels
+   * @returns {string} the rows of the bitmap, one per line
+   */
+  toASCII(lit = '#', unlit = '.') {
+    return this.toArray().map(row => row.map(pixel => pixel ? lit : unlit).join('')).join('\n')
+  }
+
+  /**
+   * Encodes the bitmap as a greyscale PNG image, with lit pixels white on black.
+   *
+   * @param {int} [scale=1] the size in the image of each pixel of the bitmap
+   * @returns {Buffer} the PNG file
+   */
+  toPNG(scale = 1) {
+    let width = this.#width * scale
+    let height = this.#height * scale
+    let rows = Buffer.alloc((width + 1) * height) // Each row starts with filter type 0
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (this.get(Math.floor(x / scale), Math.floor(y / scale))) rows[y * (width + 1) + 1 + x] = 0xFF
+      }
+    }
+
+    let header = Buffer.alloc(13)
+    header.writeUInt32BE(width, 0)
+    header.writeUInt32BE(height, 4)
+    header[8] = 8 // Bit depth
+    header[9] = 0 // Greyscale
+
+    return Buffer.concat([
+      PNG_SIGNATURE,
+      pngChunk('IHDR', header),
+      pngChunk('IDAT', deflateSync(rows)),
+      pngChunk('IEND', Buffer.alloc(0))
+    ])
+  }
+
+}
+
+function pngChunk(type, data) {
+  let length = Buffer.alloc(4)
+  length.writeUInt32BE(data.length)
+
+  let body = Buffer.concat([ Buffer.from(type, 'ascii'), data ])
+  let checksum = Buffer.alloc(4)
+  checksum.writeUInt32BE(crc32(body))
+
+  return Buffer.concat([ length, body, checksum ])
+}
+
+/**
+  A `VirtualDisplay` object stands in for a physical display,
+  rendering what it would show without the need for hardware.
+
+  It is loaded with the same bytes that are sent to a display,
+  either as produced by `DisplayMessage.toBytes` or as a complete packet,
+  and renders each page of the message to a `Bitmap`
+  that is `VirtualDisplay.WIDTH` pixels wide and `VirtualDisplay.HEIGHT` pixels high,
+  using the bundled font in font.mjs.
+ */
+export class VirtualDisplay {
+
+  static WIDTH = Page._DISPLAY_WIDTH
+  static HEIGHT = Page._DISPLAY_LINES * GLYPH_HEIGHT
+
+  #message = null
+
+  /**
+   * Load a message onto the display, replacing any previous one.
+   *
+   * @param {Buffer|DisplayMessage} data a `DisplayMessage`, its raw byte representation, or a packet containing it.
+   * @throws {RangeError} if the data does not contain a `DisplayMessage`
+   */
+  load(data) {
+    let message = data instanceof DisplayMessage ? data : inspect(data)
+    if (!(message instanceof DisplayMessage)) throw new RangeError(`Expected a DisplayMessage but got a ${message.constructor.name}`)
+
+    this.#message = message
+  }
+
+  /**
+   * @returns {DisplayMessage} the message currently loaded, or ``null``.
+   */
+  getMessage() { return this.#message }
+
+  /**
+   * Renders every page of the loaded message.
+   *
+   * @returns {Bitmap[]}
+   */
+  render() {
+    if (!this.#message) return []
+    return this.#message.getPages().map(page => VirtualDisplay.renderPage(page))
+  }
+
+  /**
+    Renders a `Page` from its raw byte representation,
+    honouring its line offset and the padding bytes used to right-justify text.
+
+    Lines below the bottom of the display are never rendered.
+    Unless ``clip`` is ``false``, text beyond the right edge of the display isn't either;
+    otherwise the bitmap is exactly as wide as its widest line, as seen while it scrolls by.
+
+   * @param {Page|Buffer} page the `Page`, or the bytes produced by `Page.toBytes`
+   * @param {Object} [options]
+   * @param {boolean} [options.clip=true] whether to clip text to the width of the display
+   * @param {CharacterSet} [options.characterSet] the characters the bytes represent. Defaults to that of the `Page`, or `Page.characterSet`.
+   * @returns {Bitmap}
+   */
+  static renderPage(page, { clip = true, characterSet = page instanceof Page ? page.getCharacterSet() : Page.characterSet } = {}) {
+    let bytes = page instanceof Page ? page.toBytes() : page
+    let offset = bytes[1]
+
+    let lines = []
+    let line = []
+    for (let byte of bytes.subarray(4)) {
+      if (byte === Page._NEWLINE_BYTESEQ) {
+        lines.push(line)
+        line = []
+      } else line.push(byte)
+    }
+    lines.push(line)
+
+    let width = clip ? this.WIDTH : Math.max(...lines.map(line => VirtualDisplay.#lineWidth(line, characterSet)))
+
+    let bitmap = new Bitmap(width, this.HEIGHT)
+    lines.forEach((line, i) => {
+      let top = (offset + i) * GLYPH_HEIGHT
+      if (top >= this.HEIGHT) return
+
+      let left = 0
+      for (let byte of line) {
+        let glyph = VirtualDisplay.#glyph(byte, characterSet)
+        glyph.forEach((row, y) => row.forEach((pixel, x) => {
+          if (pixel) bitmap.set(left + x, top + y)
+        }))
+        left += VirtualDisplay.#byteWidth(byte, characterSet)
+      }
+    })
+
+    return bitmap
+  }
+
+  static #glyph(byte, characterSet) {
+    if (byte === Page._PADDING_BYTE) return []
+    return GLYPHS[characterSet.decode([ byte ])] || []
+  }
+
+  static #byteWidth(byte, characterSet) {
+    if (byte === Page._PADDING_BYTE) return 1
+
+    let glyph = VirtualDisplay.#glyph(byte, characterSet)
+    return glyph.length ? glyph[0].length + 1 : characterSet.byteWidth(byte) ?? GLYPHS['█'][0].length + 1
+  }
+
+  static #lineWidth(line, characterSet) {
+    return line.reduce((width, byte) => width + VirtualDisplay.#byteWidth(byte, characterSet), 0)
+  }
+
+}